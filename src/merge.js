@@ -1,23 +1,81 @@
 #!/usr/bin/env node
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const yaml = require('js-yaml');
 const { EOL } = require('os');
 const parseArgs = require('minimist');
 const { CLOUDFORMATION_SCHEMA } = require('js-yaml-cloudformation-schema');
 
+const MERGE_STRATEGIES = ['pack', 'append', 'override', 'keep-first', 'unique', 'strict'];
+const DEFAULT_MAX_INCLUDE_DEPTH = 32;
+const WATCH_DEBOUNCE_MS = 200;
+const SCRIPT_EXTENSIONS = ['.js', '.cjs'];
+const FILE_REFERENCE_PATTERN = /\$\{(?:files?|pkg)\(/;
+const PACKAGE_PREFIX = 'pkg:';
+const PSEUDO_PARAMETERS = [
+  'AWS::AccountId', 'AWS::NotificationARNs', 'AWS::NoValue', 'AWS::Partition',
+  'AWS::Region', 'AWS::StackId', 'AWS::StackName', 'AWS::URLSuffix'
+];
+const SERVERLESS_RESOURCE_IDS = [
+  'IamRoleLambdaExecution', 'ServerlessDeploymentBucket', 'ServerlessDeploymentBucketPolicy',
+  'ApiGatewayRestApi', 'HttpApi', 'HttpApiStage', 'WebsocketsApi', 'WebsocketsDeploymentStage'
+];
+const SERVERLESS_FUNCTION_RESOURCE_SUFFIXES = ['LambdaFunction', 'LogGroup', 'LambdaFunctionUrl'];
+const DEFAULT_SEARCH_PATHS = ['serverless', 'src', 'config'];
+const DEFAULT_CONFIG_FILES = ['serverless.yml', 'serverless.yaml', 'template.yml', 'template.yaml'];
+const PROJECT_CONFIG_FILES = ['.serverlessmergerc', '.serverlessmergerc.json', '.serverlessmergerc.yml', '.serverlessmergerc.yaml'];
+const PROJECT_CONFIG_FIELDS = {
+  searchPaths: 'paths',
+  backupDir: 'path',
+  configFiles: 'strings',
+  inputs: 'paths',
+  pattern: 'string',
+  strategy: MERGE_STRATEGIES,
+  mode: ['text', 'semantic'],
+  logLevel: ['error', 'warn', 'info', 'debug'],
+  strict: 'boolean',
+  sourceMap: 'boolean',
+  validate: 'boolean',
+  maxDepth: 'integer',
+  params: 'params',
+  stages: 'stages'
+};
+const MERGE_CONDITION_PATTERN = /if\((?:[^()]|\([^()]*\))*\)/;
+const MERGE_MODIFIER_PATTERN = new RegExp(`:(${MERGE_CONDITION_PATTERN.source}|[\\w-]+)`, 'g');
+const MERGE_HEAD_PATTERN = new RegExp(`^(merge|\\$<<)((?:${MERGE_MODIFIER_PATTERN.source})*):(?=\\s|$)`);
+const INCLUDE_OPTIONS = ['prefix'];
+const SPLIT_SECTIONS = ['provider', 'functions', 'custom', 'resources'];
+const LOGICAL_ID_PATTERN = /^[A-Za-z0-9]+$/;
+// Önek yalnızca mantıksal kimlikleri seçen bölümlerle kullanılır: Resources veya Outputs, istenirse .{A,B} ya da .* ile daraltılmış
+const PREFIX_SECTION_PATTERN = /^(?:resources\.)?(?:Resources|Outputs)(?:\.(?:\*|\{[^}]*\}))?$/;
+const BLOCK_SCALAR_PATTERN = /^((?:-\s+)*)((?:"[^"]*"|'[^']*'|[^\s#'"-][^#]*?)\s*:\s+)?(?:(?:!\S*|&\S+)\s+)*[|>][-+]?[1-9]?[-+]?\s*(?:#.*)?$/;
+
 class YamlMergeError extends Error {
-  constructor(message, filePath, originalError = null) {
+  constructor(message, filePath, originalError = null, line = null) {
     super(message);
     this.name = 'YamlMergeError';
     this.filePath = filePath;
     this.originalError = originalError;
+    this.line = line || YamlMergeError.getErrorLine(originalError);
+  }
+
+  static getErrorLine(error) {
+    if (!error) return null;
+    if (error.line) return error.line;
+    return error.mark && typeof error.mark.line === 'number' ? error.mark.line + 1 : null;
+  }
+
+  get location() {
+    if (!this.filePath) return null;
+    return this.line ? `${this.filePath}:${this.line}` : this.filePath;
   }
 }
 
 class Logger {
-  constructor(level = 'info') {
+  constructor(level = 'info', write = null) {
     this.level = level;
+    this.write = write || console.log;
     this.levels = {
       error: 0,
       warn: 1,
@@ -28,7 +86,7 @@ class Logger {
 
   log(level, message, ...args) {
     if (this.levels[level] <= this.levels[this.level]) {
-      console.log(`[${level.toUpperCase()}]`, message, ...args);
+      this.write(`[${level.toUpperCase()}]`, message, ...args);
     }
   }
 
@@ -38,42 +96,289 @@ class Logger {
   debug(message, ...args) { this.log('debug', message, ...args); }
 }
 
+class NodeFileSystem {
+  readFile(file) {
+    return fs.readFileSync(file, 'utf8');
+  }
+
+  exists(file) {
+    return fs.existsSync(file);
+  }
+
+  isDirectory(file) {
+    try {
+      return fs.statSync(file).isDirectory();
+    } catch (error) {
+      return false;
+    }
+  }
+
+  readdir(directory) {
+    return fs.readdirSync(directory);
+  }
+
+  resolve(...segments) {
+    return path.resolve(...segments);
+  }
+
+  loadModule(file) {
+    // Modül her yüklemede yeniden okunur, böylece değişiklikler önbellekte kalmaz
+    delete require.cache[require.resolve(file)];
+    return require(file);
+  }
+}
+
+class MemoryFileSystem {
+  constructor(files = {}, cwd = '/') {
+    this.cwd = path.resolve(cwd);
+    this.files = new Map();
+    for (const [file, content] of Object.entries(files)) {
+      this.writeFile(file, content);
+    }
+  }
+
+  writeFile(file, content) {
+    this.files.set(this.resolve(file), content);
+  }
+
+  readFile(file) {
+    const resolved = this.resolve(file);
+    if (!this.files.has(resolved)) {
+      const error = new Error(`ENOENT: no such file or directory, open '${file}'`);
+      error.code = 'ENOENT';
+      throw error;
+    }
+    return this.files.get(resolved);
+  }
+
+  exists(file) {
+    return this.files.has(this.resolve(file)) || this.isDirectory(file);
+  }
+
+  isDirectory(file) {
+    const prefix = this.resolve(file).replace(/[\\/]?$/, path.sep);
+    return [...this.files.keys()].some(key => key.startsWith(prefix));
+  }
+
+  readdir(directory) {
+    const prefix = this.resolve(directory).replace(/[\\/]?$/, path.sep);
+    const names = new Set();
+    for (const key of this.files.keys()) {
+      if (key.startsWith(prefix)) {
+        names.add(key.slice(prefix.length).split(path.sep)[0]);
+      }
+    }
+    return [...names].sort();
+  }
+
+  resolve(...segments) {
+    return path.resolve(this.cwd, ...segments);
+  }
+}
+
+const nodeFileSystem = new NodeFileSystem();
+
 class YamlLine {
-  constructor(raw) {
+  constructor(raw, source = null, context = 'block') {
     this.raw = raw;
+    this.source = source;
     this.indent = this.calculateIndent(raw);
     this.content = raw.trim();
-    this.isComment = this.content.startsWith('#');
+    // Blok skaler (| >) ve çok satırlı akış ({ [) içerikleri yapı olarak yorumlanmaz
+    this.context = context;
+    const isScalarContent = context !== 'block';
+    this.isScalarContent = isScalarContent;
+    this.isComment = !isScalarContent && this.content.startsWith('#');
     this.isEmpty = this.content === '';
-    this.hasTag = this.content.startsWith('!');
+    this.hasTag = !isScalarContent && this.content.startsWith('!');
     this.hasCloudFormation = this.content.includes('Fn::') || this.content.includes('!Ref');
-    this.key = this.extractKey(this.content);
-    this.isList = this.content.startsWith('-');
+    this.key = isScalarContent ? null : this.extractKey(this.content);
+    this.isList = !isScalarContent && this.content.startsWith('-');
     this.indentLevel = Math.floor(this.indent.length / 2);
-    this.isMergeDirective = this.isMergeTag();
+    this.isMergeDirective = !isScalarContent && this.isMergeTag();
+  }
+
+  static tokenize(rawLines, getSource = () => null) {
+    const lines = [];
+    let scalarColumn = null;
+    let flowDepth = 0;
+
+    rawLines.forEach((raw, index) => {
+      const source = getSource(index);
+
+      if (scalarColumn !== null) {
+        if (raw.trim() === '' || raw.match(/^ */)[0].length > scalarColumn) {
+          lines.push(new YamlLine(raw, source, 'scalar'));
+          return;
+        }
+        scalarColumn = null;
+      }
+
+      if (flowDepth > 0) {
+        lines.push(new YamlLine(raw, source, 'flow'));
+        flowDepth = Math.max(0, flowDepth + YamlLine.countFlowDepth(raw));
+        return;
+      }
+
+      const line = new YamlLine(raw, source);
+      lines.push(line);
+      if (!line.isEmpty && !line.isComment) {
+        scalarColumn = line.getBlockScalarColumn();
+        flowDepth = Math.max(0, YamlLine.countFlowDepth(line.content));
+      }
+    });
+
+    // Blok skalerin sonundaki boş satırlar tekrar yapıya aittir
+    for (let i = lines.length - 1, trailing = true; i >= 0; i--) {
+      if (!lines[i].isScalarContent) {
+        trailing = true;
+      } else if (!lines[i].isEmpty) {
+        trailing = false;
+      } else if (trailing) {
+        lines[i].context = 'block';
+        lines[i].isScalarContent = false;
+      }
+    }
+
+    return lines;
+  }
+
+  static countFlowDepth(text) {
+    let depth = 0;
+    let quote = null;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quote) {
+        if (char === '\\' && quote === '"') i++;
+        else if (char === quote) quote = null;
+      } else if ((char === '"' || char === "'") && (i === 0 || /[\s,[{:]/.test(text[i - 1]))) {
+        quote = char;
+      } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+        break;
+      } else if (char === '{' || char === '[') {
+        depth++;
+      } else if (char === '}' || char === ']') {
+        depth--;
+      }
+    }
+
+    return depth;
+  }
+
+  // Düğüm başındaki &çapa ve *takma ad belirteçlerini tırnak ve yorumları atlayarak bulur
+  findAnchorTokens() {
+    const tokens = [];
+    if (this.context === 'scalar') return tokens;
+
+    const content = this.content;
+    let depth = this.context === 'flow' ? 1 : 0;
+    let nodeStart = true;
+    let quote = null;
+
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+      const next = content[i + 1];
+
+      if (quote) {
+        if (char === '\\' && quote === '"') i++;
+        else if (char === quote) quote = null;
+        continue;
+      }
+      if (/\s/.test(char)) continue;
+      if (char === '#' && (i === 0 || /\s/.test(content[i - 1]))) break;
+
+      if (nodeStart && (char === '&' || char === '*')) {
+        const name = content.slice(i + 1).match(/^[^\s[\]{},]+/);
+        if (name) {
+          tokens.push({ type: char, name: name[0], index: i });
+          i += name[0].length;
+          nodeStart = char === '&';
+          continue;
+        }
+      }
+
+      if (nodeStart && (char === '"' || char === "'")) {
+        quote = char;
+        nodeStart = false;
+      } else if (nodeStart && char === '!') {
+        while (i + 1 < content.length && !/\s/.test(content[i + 1])) i++;
+      } else if (nodeStart && (char === '-' || char === '?') && (next === undefined || /\s/.test(next))) {
+        continue;
+      } else if ((nodeStart || depth > 0) && (char === '[' || char === '{')) {
+        depth++;
+        nodeStart = true;
+      } else if (depth > 0 && char === ',') {
+        nodeStart = true;
+      } else if (depth > 0 && (char === ']' || char === '}')) {
+        depth--;
+        nodeStart = false;
+      } else if (char === ':' && (next === undefined || /\s/.test(next) || (depth > 0 && /[,\]}]/.test(next)))) {
+        nodeStart = true;
+      } else {
+        nodeStart = false;
+      }
+    }
+
+    return tokens;
+  }
+
+  replaceAnchorTokens(tokens, replacements) {
+    let content = this.content;
+    for (let i = tokens.length - 1; i >= 0; i--) {
+      const { name, index } = tokens[i];
+      content = content.slice(0, index) + replacements[i] + content.slice(index + 1 + name.length);
+    }
+    return new YamlLine(this.indent + content, this.source, this.context);
+  }
+
+  getBlockScalarColumn() {
+    const match = this.content.match(BLOCK_SCALAR_PATTERN);
+    if (!match) return null;
+    // Anahtarsız skaler, kendisini taşıyan liste öğesinin sütununa bağlıdır
+    return this.indent.length + match[1].length - (match[2] ? 0 : 2);
+  }
+
+  getListPrefix() {
+    const match = this.isList ? this.content.match(/^(?:-(?:\s+|$))+/) : null;
+    return match && match[0].length < this.content.length ? match[0].length : 0;
+  }
+
+  static parseMergeHead(content) {
+    const match = content.match(MERGE_HEAD_PATTERN);
+    if (!match) return null;
+    const modifiers = [...match[2].matchAll(MERGE_MODIFIER_PATTERN)].map(modifier => modifier[1]);
+    return {
+      keyword: match[1],
+      modifiers: modifiers.filter(modifier => !modifier.startsWith('if(')),
+      conditions: modifiers.filter(modifier => modifier.startsWith('if(')).map(modifier => modifier.slice(3, -1)),
+      raw: match[0]
+    };
   }
 
   isMergeTag() {
     const content = this.content.trim();
+    const head = YamlLine.parseMergeHead(content);
 
-    if (content === 'merge:' || content === '$<<:') {
+    if (head && content === head.raw) {
       return true;
     }
 
-    if (content.includes('${file(')) {
-      return (
-          content.startsWith('merge:') ||
-          content.startsWith('$<<:') ||
-          content.startsWith('- ')
-      );
+    if (FILE_REFERENCE_PATTERN.test(content)) {
+      return head !== null || content.startsWith('- ');
     }
 
     return false;
   }
 
+  getMergeHead() {
+    return this.isMergeDirective ? YamlLine.parseMergeHead(this.content) : null;
+  }
+
   getFileReference() {
-    const content = this.content.replace(/^(merge:|$<<:|\s*-\s*)/, '').trim();
-    if (content.startsWith('${file(')) {
+    const head = YamlLine.parseMergeHead(this.content);
+    const content = (head ? this.content.slice(head.raw.length) : this.content.replace(/^\s*-\s*/, '')).trim();
+    if (new RegExp(`^${FILE_REFERENCE_PATTERN.source}`).test(content)) {
       return content;
     }
     return null;
@@ -95,7 +400,7 @@ class YamlLine {
   }
 
   clone(newIndent = null) {
-    const line = new YamlLine(this.raw);
+    const line = new YamlLine(this.raw, this.source, this.context);
     if (newIndent !== null) {
       line.raw = newIndent + this.raw.trimLeft();
       line.indent = newIndent;
@@ -110,343 +415,2874 @@ class YamlDocument {
     this.filePath = filePath;
     this.baseDir = path.dirname(filePath);
     this.lines = [];
-    this.processedFiles = new Set();
     this.options = options;
     this.logger = options.logger || new Logger();
     this.schema = options.schema || CLOUDFORMATION_SCHEMA;
+    this.fs = options.fileSystem || nodeFileSystem;
     this.preserveFormat = options.preserveFormat !== false;
     this.originalContent = null;
     this.parsedContent = null;
     this.parentDocument = options.parentDocument || null;
+    this.anchors = new Map();
+    this.includedFiles = new Set();
+    this.anchorRegistry = this.parentDocument ? null : { used: new Set(), visible: new Map() };
+    this.packageRoot = this.getPackageRoot(filePath);
     this.currentIndentLevel = 0;
     this.sectionStack = [];
   }
 
-  async load() {
+  async load(content = null) {
     try {
-      if (this.processedFiles.has(this.filePath)) {
-        throw new YamlMergeError('Circular reference detected', this.filePath);
-      }
-
-      this.processedFiles.add(this.filePath);
-      this.originalContent = fs.readFileSync(this.filePath, 'utf8');
-      this.lines = this.originalContent.split(/\r?\n/).map(line => new YamlLine(line));
-      this.parsedContent = yaml.load(this.originalContent, { schema: this.schema });
+      this.checkIncludeChain();
+      this.originalContent = content !== null ? content : await this.readSource();
+      const { body, offset } = this.applyTemplateParams(this.originalContent);
+      const chain = this.getIncludeChain();
+      this.lines = YamlLine.tokenize(body.split(/\r?\n/), index => ({
+        file: this.filePath,
+        line: index + 1 + offset,
+        chain
+      }));
+      this.indentWidth = this.detectIndentWidth(this.lines);
+      this.parsedContent = yaml.load(this.getParseableContent(), { schema: this.schema });
     } catch (error) {
+      if (error instanceof YamlMergeError) {
+        throw error;
+      }
       throw new YamlMergeError(
-          error instanceof YamlMergeError ? error.message : error+ 'File loading error',
+          error + 'File loading error',
           this.filePath,
           error
       );
     }
   }
 
-  resolveFilePath(relativePath) {
-    const searchPaths = [
-      path.isAbsolute(relativePath) ? relativePath : null,
-      path.resolve(this.baseDir, relativePath),
-      path.resolve(this.baseDir, '..', relativePath),
-      path.resolve(process.cwd(), relativePath),
-      ...['serverless', 'src', 'config'].map(dir =>
-          path.resolve(process.cwd(), dir, relativePath)
-      )
-    ].filter(Boolean);
+  checkIncludeChain() {
+    if (!this.parentDocument) return;
 
-    for (const searchPath of searchPaths) {
-      if (fs.existsSync(searchPath)) {
-        return searchPath;
-      }
+    const chain = this.getIncludeChain();
+    const ancestors = chain.slice(0, -1).map(file => this.fs.resolve(file));
+
+    if (ancestors.includes(this.fs.resolve(this.filePath))) {
+      throw new YamlMergeError(
+          `Circular reference detected: ${this.formatIncludeChain(chain)}`,
+          this.parentDocument.filePath
+      );
     }
 
-    throw new YamlMergeError(
-        `Cannot resolve file path: ${relativePath}`,
-        this.filePath
-    );
+    const maxDepth = Number.isInteger(this.options.maxDepth) ? this.options.maxDepth : DEFAULT_MAX_INCLUDE_DEPTH;
+    if (ancestors.length > maxDepth) {
+      throw new YamlMergeError(
+          `Maximum include depth of ${maxDepth} exceeded: ${this.formatIncludeChain(chain)}`,
+          this.parentDocument.filePath
+      );
+    }
   }
 
+  applyTemplateParams(content) {
+    const lines = content.split(/\r?\n/);
+    const end = lines[0] === '---' ? lines.indexOf('---', 1) : -1;
+    if (end === -1) {
+      return { body: content, offset: 0 };
+    }
 
-  extractSection(lines, sectionPath) {
-    const sections = sectionPath.split('.');
-    let sectionLines = [];
-    let currentSection = sections[0];
-    let inSection = false;
-    let sectionIndent = '';
+    // Şablonun başındaki --- blokları parametreleri ve varsayılan değerlerini tanımlar
+    let defaults;
+    try {
+      defaults = yaml.load(lines.slice(1, end).join('\n'), { schema: this.schema }) || {};
+    } catch (error) {
+      throw new YamlMergeError(`Invalid template parameters: ${error.reason || error.message}`, this.filePath, error);
+    }
+    if (!this.isPlainObject(defaults)) {
+      throw new YamlMergeError('Template parameters must be a mapping of names to default values', this.filePath);
+    }
 
-    for (const line of lines) {
-      if (line.key === currentSection) {
-        inSection = true;
-        sectionIndent = line.indent;
-        continue;
-      }
+    const args = this.options.templateArgs || {};
+    const params = { ...defaults, ...args };
+    const missing = Object.keys(params).filter(name => params[name] === null || params[name] === undefined);
+    if (missing.length) {
+      throw new YamlMergeError(
+          `Missing required template parameter${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`,
+          this.filePath
+      );
+    }
 
-      if (inSection) {
-        if (!line.isEmpty && !line.isComment && line.indent.length <= sectionIndent.length) {
-          break;
-        }
-        sectionLines.push(line);
-      }
+    let body = lines.slice(end + 1).join('\n');
+    const used = new Set();
+    body = body.replace(/\$\{param:([\w.-]+)\}/g, (placeholder, name) => {
+      if (!(name in params)) return placeholder;
+      used.add(name);
+      const value = params[name];
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+
+    const unused = Object.keys(args).filter(name => !used.has(name));
+    if (unused.length) {
+      this.logger.warn(`Unused template parameter${unused.length > 1 ? 's' : ''} in ${this.formatSource({ file: this.filePath })}: ${unused.join(', ')}`);
     }
 
-    return sectionLines;
+    return { body, offset: end + 1 };
   }
-  async processMerge(fileRef, parentIndent = '') {
-    const resolvedPath = this.resolveFilePath(fileRef.path);
-    const subDocument = new YamlDocument(resolvedPath, {
-      ...this.options,
-      parentDocument: this
+
+  getParseableContent() {
+    const external = new Map();
+    this.findExternalAliases().forEach(({ line, token }) => {
+      external.set(line, [...(external.get(line) || []), token]);
     });
 
-    await subDocument.load();
-    await subDocument.merge();
+    // Şablon argümanları (`{name: users}`) düz YAML değeri olarak geçersizdir, ayrıştırma için tırnağa alınır
+    return this.lines.map(line => {
+      if (external.has(line)) {
+        // Başka dosyadaki çapalara işaret eden takma adlar tek başına ayrıştırılırken boş eşlemeyle değiştirilir
+        const tokens = external.get(line);
+        return line.replaceAnchorTokens(tokens, tokens.map(() => '{}')).raw;
+      }
+      if (!line.isMergeDirective || !new RegExp(`${FILE_REFERENCE_PATTERN.source}[^)]*,\\s*\\{`).test(line.content)) {
+        return line.raw;
+      }
+      const fileRef = this.withLineContext(line, () => this.parseFileReference(line.content));
+      if (!fileRef || !fileRef.args || fileRef.consumed === -1) {
+        return line.raw;
+      }
+      const start = line.raw.indexOf(fileRef.raw);
+      const value = line.raw.slice(start, start + fileRef.consumed);
+      return `${line.raw.slice(0, start)}'${value.replace(/'/g, "''")}'${line.raw.slice(start + fileRef.consumed)}`;
+    }).join('\n');
+  }
 
-    let mergedLines = fileRef.section ?
-        this.extractSection(subDocument.lines, fileRef.section) :
-        subDocument.lines;
+  findExternalAliases() {
+    const defined = new Set();
+    const aliases = [];
 
-    if (fileRef.section && fileRef.section.match(/^[A-Z]/)) {
-      let lastLineEmpty = false;
-      mergedLines = mergedLines.filter(line => {
-        if (line.isEmpty) {
-          if (lastLineEmpty) return false;
-          lastLineEmpty = true;
-          return true;
+    this.lines.forEach(line => {
+      line.findAnchorTokens().forEach(token => {
+        if (token.type === '&') {
+          defined.add(token.name);
+        } else if (!defined.has(token.name)) {
+          aliases.push({ line, token });
         }
-        lastLineEmpty = false;
-        return true;
       });
-    }
+    });
 
-    else {
-      mergedLines = mergedLines.filter((line, index, arr) => {
-        if (line.isEmpty) {
-          return !(index > 0 && index < arr.length - 1 &&
-              !arr[index - 1].isEmpty && !arr[index + 1].isEmpty);
+    return aliases;
+  }
+
+  getAnchorRegistry() {
+    return this.getRootDocument().anchorRegistry;
+  }
+
+  // Çapalar birleştirme sırasıyla kaydedilir; takma adlar önce bu dosyadaki, sonra daha önce eklenen dosyalardaki çapalara bağlanır
+  linkAnchors(line) {
+    const tokens = line.findAnchorTokens();
+    if (!tokens.length) return line;
+
+    const registry = this.getAnchorRegistry();
+    const replacements = tokens.map(token => {
+      if (token.type === '*') {
+        const name = this.anchors.get(token.name) || registry.visible.get(token.name);
+        if (!name) {
+          throw new YamlMergeError(
+              `Unresolved alias '*${token.name}': no anchor '&${token.name}' is defined before it in this file or in an earlier include`,
+              this.filePath,
+              null,
+              line.source ? line.source.line : null
+          );
         }
-        return true;
-      });
-    }
+        return `*${name}`;
+      }
 
-    return mergedLines.map(line => {
-      if (line.isEmpty || line.isComment) return line.clone();
+      let name = token.name;
+      for (let suffix = 2; registry.used.has(name); suffix++) {
+        name = `${token.name}_${suffix}`;
+      }
+      if (name !== token.name) {
+        this.logger.debug(`Renamed anchor '&${token.name}' to '&${name}' in ${this.formatSource(line.source || { file: this.filePath })} to avoid a collision`);
+      }
+      registry.used.add(name);
+      registry.visible.set(token.name, name);
+      this.anchors.set(token.name, name);
+      return `&${name}`;
+    });
 
-      if (fileRef.section) {
-        if (fileRef.section.match(/^[A-Z]/)) {
-          if (line.indent.length > 0) {
-            let newIndent = parentIndent;
-            if (line.indent.length > 0) {
-              newIndent = parentIndent.slice(0, -2);
-            }
-            return line.clone(newIndent + line.indent);
-          }
+    return line.replaceAnchorTokens(tokens, replacements);
+  }
 
-          if (fileRef.section === line.key && line.isCapitalizedKey()) {
-            return line.clone(parentIndent);
-          }
+  checkAliases() {
+    const defined = new Set();
+
+    this.lines.forEach(line => {
+      line.findAnchorTokens().forEach(token => {
+        if (token.type === '&') {
+          defined.add(token.name);
+        } else if (!defined.has(token.name)) {
+          throw new YamlMergeError(
+              `Unresolved alias '*${token.name}': its anchor is not part of the merged output`,
+              line.source ? line.source.file : this.filePath,
+              null,
+              line.source ? line.source.line : null
+          );
         }
+      });
+    });
+  }
 
-        else {
-          if (line.key === fileRef.section) {
-            return line.clone(parentIndent);
-          }
+  parseTemplateArgs(fileRef) {
+    if (!fileRef.args) return null;
 
-          if (fileRef.section && !fileRef.section.match(/^[A-Z]/)) {
-            return line.clone(parentIndent);
-          }
+    let args;
+    try {
+      args = yaml.load(this.resolveVariables(fileRef.args), { schema: this.schema });
+    } catch (error) {
+      if (error instanceof YamlMergeError) throw error;
+      throw new YamlMergeError(`Invalid template arguments '${fileRef.args}': ${error.reason || error.message}`, this.filePath);
+    }
+    if (!this.isPlainObject(args)) {
+      throw new YamlMergeError(`Template arguments must be a mapping, got '${fileRef.args}'`, this.filePath);
+    }
+    return args;
+  }
 
-          const relativeLine = line.clone(parentIndent + line.indent.slice(2));
-          return relativeLine;
-        }
+  async readSource() {
+    const extension = path.extname(this.filePath).toLowerCase();
+    if (!SCRIPT_EXTENSIONS.includes(extension) && extension !== '.json') {
+      return this.fs.readFile(this.filePath);
+    }
+
+    let value;
+    if (extension === '.json') {
+      const content = this.fs.readFile(this.filePath);
+      try {
+        value = JSON.parse(content);
+      } catch (error) {
+        const position = /position (\d+)/.exec(error.message);
+        const line = position ? content.slice(0, Number(position[1])).split('\n').length : null;
+        throw new YamlMergeError(`Invalid JSON: ${error.message}`, this.filePath, error, line);
+      }
+    } else {
+      if (typeof this.fs.loadModule !== 'function') {
+        throw new YamlMergeError('JavaScript includes are not supported by this file system', this.filePath);
       }
+      const exported = this.fs.loadModule(this.filePath);
+      value = typeof exported === 'function' ? await exported(this.getScriptContext()) : exported;
+    }
 
-      if (line.isList) {
-        if (fileRef.section && fileRef.section.match(/^[A-Z]/)) {
-          return line.clone(parentIndent + line.indent);
-        }
-        else {
-          return line.clone(parentIndent + line.indent);
+    if (value === undefined || value === null) {
+      return '';
+    }
+    if (typeof value !== 'object') {
+      throw new YamlMergeError(`Expected an object or a list but got ${typeof value}`, this.filePath);
+    }
+    return yaml.dump(this.removeUndefined(value), { schema: this.schema, lineWidth: -1, noRefs: true });
+  }
+
+  removeUndefined(value) {
+    if (Array.isArray(value)) {
+      return value.filter(item => item !== undefined).map(item => this.removeUndefined(item));
+    }
+    if (!this.isPlainObject(value)) {
+      return value;
+    }
+    return Object.fromEntries(Object.entries(value)
+        .filter(([, item]) => item !== undefined)
+        .map(([key, item]) => [key, this.removeUndefined(item)]));
+  }
+
+  getScriptContext() {
+    const params = this.options.params || {};
+    const options = { ...params };
+    for (const name of ['stage', 'region']) {
+      const value = this.lookupVariable('opt', name);
+      if (value !== undefined) options[name] = value;
+    }
+    return {
+      stage: options.stage,
+      region: options.region,
+      params,
+      options,
+      document: this.getRootDocument().parsedContent || {}
+    };
+  }
+
+  getIncludes() {
+    return this.lines
+        .filter(line => line.isMergeDirective)
+        .map(line => ({ line, fileRef: this.withLineContext(line, () => this.parseFileReference(line.content)) }))
+        .filter(({ fileRef }) => fileRef)
+        .flatMap(({ line, fileRef }) => [fileRef, fileRef.elseRef]
+            .filter(Boolean)
+            .map(ref => ({ ...ref, line: line.source ? line.source.line : null })));
+  }
+
+  getIncludeChain() {
+    const chain = [];
+    for (let document = this; document; document = document.parentDocument) {
+      chain.unshift(document.filePath);
+    }
+    return chain;
+  }
+
+  getRootDocument() {
+    let document = this;
+    while (document.parentDocument) {
+      document = document.parentDocument;
+    }
+    return document;
+  }
+
+  formatSource(source) {
+    // Yollar belgenin dosya sistemine göre çözülür, böylece bellekteki dosyalar da göreli yazılır
+    const file = path.relative(this.fs.resolve(this.getRootDocument().baseDir), this.fs.resolve(source.file)) ||
+        path.basename(source.file);
+    return source.line ? `${file}:${source.line}` : file;
+  }
+
+  formatIncludeChain(chain) {
+    return chain.map(file => this.formatSource({ file })).join(' -> ');
+  }
+
+  findDuplicateKeys(lines = this.lines, keyPath = []) {
+    const duplicates = [];
+    const seen = new Map();
+    let listIndex = 0;
+
+    for (const entry of this.splitEntries(lines)) {
+      const head = entry.lines[this.getEntryHead(entry)];
+      if (!head) continue;
+
+      if (entry.key === null) {
+        if (head.isList) {
+          const itemHead = new YamlLine(head.indent + ' ' + head.content.slice(1), head.source);
+          const itemLines = [itemHead, ...entry.lines.slice(this.getEntryHead(entry) + 1)];
+          duplicates.push(...this.findDuplicateKeys(itemLines, [...keyPath, `[${listIndex}]`]));
+          listIndex++;
         }
+        continue;
       }
 
-      if (fileRef.section && fileRef.section.match(/^[A-Z]/)) {
-        return line.clone(parentIndent + '  '.repeat(line.indentLevel));
+      const entryPath = [...keyPath, entry.key];
+      if (seen.has(entry.key)) {
+        duplicates.push({
+          path: entryPath.join('.').replace(/\.\[/g, '['),
+          first: seen.get(entry.key).source,
+          second: head.source
+        });
       } else {
-        return line.clone(parentIndent + '  '.repeat(line.indentLevel));
+        seen.set(entry.key, head);
       }
-    });
+
+      if (this.getEntryKind(entry) !== 'scalar') {
+        duplicates.push(...this.findDuplicateKeys(entry.lines.slice(this.getEntryHead(entry) + 1), entryPath));
+      }
+    }
+
+    return duplicates;
   }
-  async merge() {
-    const mergedLines = [];
-    let lastLineEmpty = false;
 
-    for (let i = 0; i < this.lines.length; i++) {
-      const line = this.lines[i];
+  describeDuplicateKey(duplicate) {
+    return `${duplicate.path} ${this.describeSources(duplicate.first, duplicate.second)}`;
+  }
 
-      if (line.isEmpty) {
-        if (!lastLineEmpty) mergedLines.push(line);
-        lastLineEmpty = true;
-        continue;
-      } else if (line.isComment) {
-        mergedLines.push(line);
-        lastLineEmpty = false;
-        continue;
+  // İki tanımın yerini ve varsa içerme zincirlerini yazar
+  describeSources(first, second) {
+    const describe = source => source ? this.formatSource(source) : 'unknown location';
+    let message = `defined in ${describe(first)} and ${describe(second)}`;
+
+    for (const source of [first, second]) {
+      if (source && source.chain.length > 1) {
+        message += `${EOL}  included via ${this.formatIncludeChain(source.chain)}`;
       }
+    }
+    return message;
+  }
 
-      lastLineEmpty = false;
+  findKeySource(keyPath, lines = this.lines) {
+    let listIndex = 0;
 
-      if (line.isMergeDirective) {
-        const fileRef = this.parseFileReference(line.content);
-        if (fileRef) {
-          const mergedContent = await this.processMerge(fileRef, line.indent);
-          mergedLines.push(...mergedContent);
-          continue;
-        }
+    for (const entry of this.splitEntries(lines)) {
+      const headIndex = this.getEntryHead(entry);
+      const head = entry.lines[headIndex];
+      if (!head) continue;
+
+      let segment = entry.key;
+      let children = entry.lines.slice(headIndex + 1);
+      if (entry.key === null) {
+        if (!head.isList) continue;
+        segment = `[${listIndex++}]`;
+        children = [new YamlLine(head.indent + ' ' + head.content.slice(1), head.source), ...children];
       }
 
-      if (!line.isMergeDirective) {
-        mergedLines.push(line);
+      if (segment === keyPath[0]) {
+        return (keyPath.length > 1 && this.findKeySource(keyPath.slice(1), children)) || head.source;
       }
     }
 
-    this.lines = mergedLines;
-    return this;
+    return null;
   }
 
-  parseFileReference(content) {
-    content = content.replace(/^($<<:|merge:|\s*-\s*)/, '').trim();
+  validate() {
+    const findings = [];
+    // Semantik modda satırlar birleştirilmiş çıktıyı temsil etmez, kaynak bilgisi verilemez
+    const hasSources = this.options.mode !== 'semantic';
+    const report = (keyPath, message) => findings.push({
+      path: keyPath.join('.').replace(/\.\[/g, '['),
+      message,
+      source: hasSources ? this.findKeySource(keyPath) : null
+    });
 
-    const match = content.match(/\$\{file\(([^)]+)\)(?::([^}]+))?\}/);
-    return match ? {
-      path: match[1],
-      section: match[2],
-      raw: match[0]
-    } : null;
-  }
+    let parsed;
+    try {
+      parsed = yaml.load(this.toString(), { schema: CLOUDFORMATION_SCHEMA });
+    } catch (error) {
+      const line = hasSources ? this.lines[YamlMergeError.getErrorLine(error) - 1] : null;
+      findings.push({
+        path: '',
+        message: `Merged output is not valid CloudFormation YAML: ${error.reason || error.message}`,
+        source: line ? line.source : null
+      });
+      return findings;
+    }
+    if (!this.isPlainObject(parsed)) {
+      return findings;
+    }
+
+    const isServerless = this.isPlainObject(parsed.resources) || this.isPlainObject(parsed.functions);
+    const resourcesPath = isServerless ? ['resources', 'Resources'] : ['Resources'];
+    const resources = (isServerless ? (parsed.resources || {}).Resources : parsed.Resources) || {};
+    const parameters = (isServerless ? (parsed.resources || {}).Parameters : parsed.Parameters) || {};
+    const functions = this.isPlainObject(parsed.functions) ? parsed.functions : {};
+
+    for (const [name, resource] of Object.entries(this.isPlainObject(resources) ? resources : {})) {
+      if (!this.isPlainObject(resource) || !resource.Type) {
+        report([...resourcesPath, name], `Resource '${name}' has no Type`);
+      }
+    }
+
+    for (const [name, definition] of Object.entries(functions)) {
+      if (!this.isPlainObject(definition) || (!definition.handler && !definition.image)) {
+        report(['functions', name], `Function '${name}' needs a handler or an image`);
+      }
+    }
+
+    // Serverless'in kendi ürettiği kaynaklar da geçerli hedef sayılır
+    const normalize = name => (name.charAt(0).toUpperCase() + name.slice(1))
+        .replace(/-/g, 'Dash')
+        .replace(/_/g, 'Underscore');
+    const targets = new Set([
+      ...PSEUDO_PARAMETERS,
+      ...Object.keys(this.isPlainObject(resources) ? resources : {}),
+      ...Object.keys(this.isPlainObject(parameters) ? parameters : {}),
+      ...(isServerless ? SERVERLESS_RESOURCE_IDS : []),
+      ...Object.keys(functions).flatMap(name => SERVERLESS_FUNCTION_RESOURCE_SUFFIXES.map(suffix => normalize(name) + suffix))
+    ]);
+
+    const checkTarget = (keyPath, intrinsic, target) => {
+      if (typeof target !== 'string' || target.includes('${') || targets.has(target)) return;
+      report(keyPath, `${intrinsic} target '${target}' is not a resource, parameter or pseudo parameter`);
+    };
+
+    const walk = (node, keyPath) => {
+      if (Array.isArray(node)) {
+        node.forEach((item, index) => walk(item, [...keyPath, `[${index}]`]));
+        return;
+      }
+      if (node === null || typeof node !== 'object') return;
+
+      for (const [key, value] of Object.entries(node)) {
+        if (key === 'Ref') {
+          checkTarget(keyPath, 'Ref', value);
+        } else if (key === 'Fn::GetAtt') {
+          checkTarget(keyPath, 'Fn::GetAtt', Array.isArray(value) ? value[0] : String(value).split('.')[0]);
+        } else if (key === 'Fn::Sub') {
+          const [template, variables] = Array.isArray(value) ? value : [value, {}];
+          const local = this.isPlainObject(variables) ? variables : {};
+          for (const match of String(template).matchAll(/\$\{([^}]+)\}/g)) {
+            const name = match[1].trim();
+            // ${!Literal} kaçışları ve ${self:...} gibi Serverless değişkenleri atlanır
+            if (name.startsWith('!') || name in local || (name.includes(':') && !name.startsWith('AWS::'))) continue;
+            checkTarget(keyPath, 'Fn::Sub', name.startsWith('AWS::') ? name : name.split('.')[0]);
+          }
+        }
+        walk(value, [...keyPath, key]);
+      }
+    };
+    walk(parsed, []);
+
+    return findings;
+  }
+
+  describeFinding(finding) {
+    let message = finding.path ? `${finding.path}: ${finding.message}` : finding.message;
+    if (finding.source) {
+      message += ` (${this.formatSource(finding.source)})`;
+      if (finding.source.chain.length > 1) {
+        message += `${EOL}  included via ${this.formatIncludeChain(finding.source.chain)}`;
+      }
+    }
+    return message;
+  }
+
+  getPackageRoot(filePath) {
+    const segments = this.fs.resolve(filePath).split(path.sep);
+    const index = segments.lastIndexOf('node_modules');
+    if (index === -1 || index + 1 >= segments.length - 1) return null;
+    return segments.slice(0, index + (segments[index + 1].startsWith('@') ? 3 : 2)).join(path.sep);
+  }
+
+  getPackageName() {
+    const segments = this.packageRoot.split(path.sep);
+    return segments.slice(segments.lastIndexOf('node_modules') + 1).join('/');
+  }
+
+  getSearchBases() {
+    // Paket içindeki dosyalar yalnızca kendi paketlerine göre çözülür
+    if (this.packageRoot) {
+      return [this.baseDir];
+    }
+    return [
+      this.baseDir,
+      this.fs.resolve(this.baseDir, '..'),
+      this.fs.resolve('.'),
+      ...(this.options.searchPaths || DEFAULT_SEARCH_PATHS).map(dir => this.fs.resolve(dir))
+    ];
+  }
+
+  resolveFilePath(relativePath) {
+    const searchPaths = [
+      path.isAbsolute(relativePath) ? relativePath : null,
+      ...this.getSearchBases().map(base => this.fs.resolve(base, relativePath))
+    ].filter(Boolean);
+
+    for (const searchPath of searchPaths) {
+      if (this.fs.exists(searchPath)) {
+        return this.checkPackageBoundary(searchPath, relativePath);
+      }
+    }
+
+    throw new YamlMergeError(
+        `Cannot resolve file path: ${relativePath}`,
+        this.filePath
+    );
+  }
+
+  checkPackageBoundary(resolvedPath, relativePath) {
+    if (this.packageRoot && path.relative(this.packageRoot, resolvedPath).startsWith('..')) {
+      throw new YamlMergeError(
+          `'${relativePath}' resolves outside of package ${this.getPackageName()}`,
+          this.filePath
+      );
+    }
+    return resolvedPath;
+  }
+
+  resolvePackage(reference) {
+    const segments = reference.split('/');
+    const count = reference.startsWith('@') ? 2 : 1;
+    const name = segments.slice(0, count).join('/');
+    const file = segments.slice(count).join('/');
+    if (segments.length <= count || !file) {
+      throw new YamlMergeError(
+          `Invalid package reference '${PACKAGE_PREFIX}${reference}', expected ${PACKAGE_PREFIX}<package>/<file>`,
+          this.filePath
+      );
+    }
+
+    let manifestPath = null;
+    try {
+      if (this.fs === nodeFileSystem) {
+        manifestPath = require.resolve(`${name}/package.json`, { paths: [this.baseDir] });
+      }
+    } catch (error) {
+      // package.json "exports" ile dışarı açılmamış olabilir, node_modules dizinleri aşağıda elle taranır
+    }
+    for (let dir = this.fs.resolve(this.baseDir); !manifestPath; dir = path.dirname(dir)) {
+      const candidate = path.join(dir, 'node_modules', name, 'package.json');
+      if (this.fs.exists(candidate)) manifestPath = candidate;
+      if (dir === path.dirname(dir)) break;
+    }
+
+    if (!manifestPath) {
+      const expected = this.getExpectedPackageVersion(name);
+      const hint = expected ? ` (${name}@${expected.range} is required by ${expected.manifest})` : '';
+      throw new YamlMergeError(`Cannot find package '${name}'${hint}, is it installed?`, this.filePath);
+    }
+
+    const manifest = JSON.parse(this.fs.readFile(manifestPath));
+    return { name, version: manifest.version, root: path.dirname(manifestPath), file };
+  }
+
+  getExpectedPackageVersion(name) {
+    for (let dir = this.fs.resolve(this.baseDir); ; dir = path.dirname(dir)) {
+      const manifestPath = path.join(dir, 'package.json');
+      if (this.fs.exists(manifestPath)) {
+        try {
+          const manifest = JSON.parse(this.fs.readFile(manifestPath));
+          for (const field of ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies']) {
+            if (manifest[field] && manifest[field][name]) {
+              return { range: manifest[field][name], manifest: path.relative(this.fs.resolve('.'), manifestPath) || 'package.json' };
+            }
+          }
+        } catch (error) {
+          // Okunamayan package.json sürüm ipucu vermez
+        }
+      }
+      if (dir === path.dirname(dir)) return null;
+    }
+  }
+
+  resolvePackagePaths(reference, fileRef, excludes) {
+    const { name, version, root, file } = this.resolvePackage(reference);
+    const packageName = version ? `${name}@${version}` : name;
+
+    if (!fileRef.multiple && !isGlobPattern(file)) {
+      const resolvedPath = path.join(root, file);
+      if (!this.fs.exists(resolvedPath)) {
+        throw new YamlMergeError(`File '${file}' not found in package ${packageName}`, this.filePath);
+      }
+      return [resolvedPath];
+    }
+
+    const excluded = new Set(excludes.reduce((files, pattern) => {
+      const relative = pattern.startsWith(`${PACKAGE_PREFIX}${name}/`) ? pattern.slice(PACKAGE_PREFIX.length + name.length + 1) : pattern;
+      return files.concat(expandGlob(relative, root, this.fs));
+    }, []));
+    const files = expandGlob(file, root, this.fs).filter(resolvedPath => !excluded.has(resolvedPath));
+    if (!files.length) {
+      throw new YamlMergeError(`No files match pattern '${file}' in package ${packageName}`, this.filePath);
+    }
+    return files;
+  }
+
+  resolveFilePaths(fileRef) {
+    const filePath = this.resolveVariables(fileRef.path);
+    const excludes = fileRef.excludes.map(pattern => this.resolveVariables(pattern));
+
+    if (filePath.startsWith(PACKAGE_PREFIX)) {
+      return this.resolvePackagePaths(filePath.slice(PACKAGE_PREFIX.length), fileRef, excludes);
+    }
+
+    if (!fileRef.multiple && !isGlobPattern(filePath)) {
+      return [this.resolveFilePath(filePath)];
+    }
+
+    const bases = path.isAbsolute(filePath) ? [this.baseDir] : this.getSearchBases();
+    for (const base of bases) {
+      const excluded = new Set(
+          excludes.reduce((files, pattern) => files.concat(expandGlob(pattern, base, this.fs)), [])
+      );
+      const files = expandGlob(filePath, base, this.fs).filter(file => !excluded.has(file));
+      if (files.length) {
+        return files.map(file => this.checkPackageBoundary(file, filePath));
+      }
+    }
+
+    if (fileRef.multiple && !isGlobPattern(filePath)) {
+      return [this.resolveFilePath(filePath)];
+    }
+
+    throw new YamlMergeError(`No files match pattern: ${filePath}`, this.filePath);
+  }
+
+  resolveVariables(text, depth = 0) {
+    if (!text || !text.includes('${')) {
+      return text;
+    }
+
+    if (depth > 10) {
+      throw new YamlMergeError(`Too many nested variables in '${text}'`, this.filePath);
+    }
+
+    let result = text;
+    let match;
+    while ((match = result.match(/\$\{([^${}]+)\}/))) {
+      const value = this.resolveVariable(match[1], depth);
+      result = result.slice(0, match.index) + value + result.slice(match.index + match[0].length);
+    }
+    return result;
+  }
+
+  resolveVariable(expression, depth = 0) {
+    for (const candidate of this.splitArguments(expression)) {
+      const literal = candidate.match(/^(["'])(.*)\1$/);
+      if (literal) {
+        return literal[2];
+      }
+      if (/^-?\d+(\.\d+)?$/.test(candidate)) {
+        return candidate;
+      }
+
+      const reference = candidate.match(/^(\w+):(.+)$/);
+      if (!reference) {
+        throw new YamlMergeError(`Invalid variable '\${${expression}}'`, this.filePath);
+      }
+
+      const value = this.lookupVariable(reference[1], reference[2].trim(), expression);
+      if (value !== undefined && value !== null && value !== '') {
+        return this.resolveVariables(String(value), depth + 1);
+      }
+    }
+
+    throw new YamlMergeError(
+        `Cannot resolve variable '\${${expression}}' and no default value was given`,
+        this.filePath
+    );
+  }
+
+  lookupVariable(source, name, expression) {
+    const params = this.options.params || {};
+
+    switch (source) {
+      case 'opt':
+        if (name === 'stage' || name === 'region') {
+          return this.options[name] !== undefined ? this.options[name] : params[name];
+        }
+        return params[name];
+      case 'param':
+        return params[name];
+      case 'env':
+        return process.env[name];
+      case 'self': {
+        let value = this.getRootDocument().parsedContent;
+        for (const key of name.split('.')) {
+          value = value !== null && typeof value === 'object' ? value[key] : undefined;
+        }
+        return value !== null && typeof value === 'object' ? undefined : value;
+      }
+      default:
+        throw new YamlMergeError(
+            `Unsupported variable source '${source}' in '\${${expression}}'. Expected one of: opt, param, env, self`,
+            this.filePath
+        );
+    }
+  }
+
+
+  isConditionMet(conditions = []) {
+    return conditions.every(condition => this.evaluateCondition(condition));
+  }
+
+  evaluateCondition(condition) {
+    const tokens = condition.match(/==|!=|[()[\],!]|"[^"]*"|'[^']*'|[^\s=!()[\],"']+|\S/g) || [];
+    let position = 0;
+
+    const fail = reason => {
+      throw new YamlMergeError(`Invalid condition 'if(${condition})': ${reason}`, this.filePath);
+    };
+
+    const next = expected => {
+      const token = tokens[position++];
+      if (expected && token !== expected) {
+        fail(token === undefined ? `expected '${expected}'` : `expected '${expected}' but found '${token}'`);
+      }
+      return token;
+    };
+
+    const readValue = () => {
+      const token = next();
+      if (token === undefined || /^(==|!=|[()[\],!])$/.test(token)) {
+        fail(token === undefined ? 'missing value' : `unexpected '${token}'`);
+      }
+      const quoted = token.match(/^(["'])(.*)\1$/);
+      return quoted ? quoted[2] : token;
+    };
+
+    const readList = () => {
+      next('[');
+      const values = [];
+      while (tokens[position] !== ']') {
+        values.push(readValue());
+        if (tokens[position] !== ']') next(',');
+      }
+      next(']');
+      return values;
+    };
+
+    const parseExpression = () => {
+      if (tokens[position] === '!') {
+        next();
+        return !parseExpression();
+      }
+      if (tokens[position] === '(') {
+        next();
+        const result = parseExpression();
+        next(')');
+        return result;
+      }
+
+      const name = readValue();
+      const value = this.lookupVariable('opt', name, condition);
+      const actual = value === undefined || value === null ? undefined : String(value);
+      const operator = tokens[position];
+
+      if (operator === '==' || operator === '!=') {
+        next();
+        return (actual === readValue()) === (operator === '==');
+      }
+      if (operator === 'in' || (operator === 'not' && tokens[position + 1] === 'in')) {
+        if (next() === 'not') next();
+        return readList().includes(actual) === (operator === 'in');
+      }
+      return actual !== undefined && actual !== '' && actual !== 'false';
+    };
+
+    if (!tokens.length) fail('empty condition');
+    const result = parseExpression();
+    if (position < tokens.length) fail(`unexpected '${tokens[position]}'`);
+    return result;
+  }
+
+  parseSectionPath(sectionPath, filePath = this.filePath) {
+    const segments = [];
+    const selector = sectionPath.trim();
+    let i = 0;
+
+    const fail = reason => {
+      throw new YamlMergeError(`Invalid section selector '${sectionPath}': ${reason}`, filePath);
+    };
+
+    const readName = () => {
+      while (selector[i] === ' ') i++;
+      const quote = selector[i];
+      if (quote === '"' || quote === "'") {
+        const end = selector.indexOf(quote, i + 1);
+        if (end === -1) fail('unterminated quote');
+        const name = selector.slice(i + 1, end);
+        i = end + 1;
+        while (selector[i] === ' ') i++;
+        return name;
+      }
+
+      const match = selector.slice(i).match(/^[^.[\]{},"']+/);
+      if (!match || !match[0].trim()) fail(`expected a key at position ${i + 1}`);
+      i += match[0].length;
+      return match[0].trim();
+    };
+
+    while (i < selector.length) {
+      if (selector[i] === '[') {
+        const end = selector.indexOf(']', i);
+        if (end === -1) fail('unterminated list index');
+        const index = selector.slice(i + 1, end).trim();
+        if (!/^\d+$/.test(index)) fail(`list index must be a number, got '${index}'`);
+        segments.push({ type: 'index', index: Number(index) });
+        i = end + 1;
+      } else if (selector[i] === '{') {
+        const names = [];
+        i++;
+        for (;;) {
+          names.push(readName());
+          if (selector[i] === ',') {
+            i++;
+          } else if (selector[i] === '}') {
+            i++;
+            break;
+          } else {
+            fail('unterminated key list');
+          }
+        }
+        segments.push({ type: 'keys', names });
+      } else if (selector[i] === '*') {
+        segments.push({ type: 'wildcard' });
+        i++;
+      } else {
+        segments.push({ type: 'key', name: readName() });
+      }
+
+      if (i < selector.length && selector[i] !== '[') {
+        if (selector[i] !== '.') fail(`unexpected '${selector[i]}' at position ${i + 1}`);
+        i++;
+        if (i === selector.length) fail('selector ends with a dot');
+      }
+    }
+
+    if (segments.length === 0) fail('selector is empty');
+
+    const multiIndex = segments.findIndex(segment => segment.type === 'keys' || segment.type === 'wildcard');
+    if (multiIndex !== -1 && multiIndex !== segments.length - 1) {
+      fail('wildcards and key lists are only supported in the last segment');
+    }
+
+    return segments;
+  }
+
+  formatSectionPath(segments) {
+    return segments.map((segment, index) => {
+      const dot = index > 0 ? '.' : '';
+      const quote = name => /[.[\]{},\s]/.test(name) ? `"${name}"` : name;
+      switch (segment.type) {
+        case 'index': return `[${segment.index}]`;
+        case 'wildcard': return `${dot}*`;
+        case 'keys': return `${dot}{${segment.names.map(quote).join(',')}}`;
+        default: return `${dot}${quote(segment.name)}`;
+      }
+    }).join('');
+  }
+
+  unquoteKey(key) {
+    return key && /^(["']).*\1$/.test(key) ? key.slice(1, -1) : key;
+  }
+
+  getChildBlocks(lines) {
+    const significant = lines.filter(line => !line.isEmpty && !line.isComment);
+    if (significant.length === 0) return [];
+
+    const baseIndent = Math.min(...significant.map(line => line.indent.length));
+    const blocks = [];
+
+    for (const line of lines) {
+      if (!line.isEmpty && !line.isComment && line.indent.length <= baseIndent) {
+        blocks.push({ key: line.isList ? null : this.unquoteKey(line.key), head: line, body: [] });
+      } else if (blocks.length) {
+        blocks[blocks.length - 1].body.push(line);
+      }
+    }
+
+    return blocks;
+  }
+
+  extractSection(lines, sectionPath, filePath = this.filePath) {
+    const segments = this.parseSectionPath(sectionPath, filePath);
+    const notFound = reason => new YamlMergeError(`Section '${sectionPath}' not found: ${reason}`, filePath);
+    let sectionLines = lines;
+
+    segments.forEach((segment, index) => {
+      const where = index > 0 ? ` under '${this.formatSectionPath(segments.slice(0, index))}'` : '';
+      const blocks = this.getChildBlocks(sectionLines);
+      const findBlock = name => {
+        const block = blocks.find(candidate => candidate.key === name);
+        if (!block) throw notFound(`key '${name}' does not exist${where}`);
+        return block;
+      };
+
+      if (segment.type === 'key') {
+        sectionLines = findBlock(segment.name).body;
+      } else if (segment.type === 'index') {
+        const items = blocks.filter(block => block.head.isList);
+        const item = items[segment.index];
+        if (!item) {
+          throw notFound(`list index [${segment.index}] is out of range${where} (${items.length} items)`);
+        }
+        const itemHead = new YamlLine(item.head.indent + ' ' + item.head.content.slice(1), item.head.source);
+        sectionLines = itemHead.isEmpty ? item.body : [itemHead, ...item.body];
+      } else {
+        const selected = segment.type === 'wildcard' ?
+            blocks.filter(block => block.key !== null) :
+            segment.names.map(findBlock);
+        sectionLines = selected.reduce((result, block) => result.concat([block.head, ...block.body]), []);
+      }
+    });
+
+    if (!sectionLines.some(line => !line.isEmpty && !line.isComment)) {
+      throw notFound('the selected value is empty or not a mapping or list');
+    }
+
+    // Bölümü kaynak dosyadaki bir sonraki anahtardan ayıran boş satırlar bölüme dahil değildir
+    let end = sectionLines.length;
+    while (end > 0 && sectionLines[end - 1].isEmpty && !sectionLines[end - 1].isScalarContent) end--;
+    return sectionLines.slice(0, end);
+  }
+
+  selectSection(content, sectionPath, filePath = this.filePath) {
+    const segments = this.parseSectionPath(sectionPath, filePath);
+    const notFound = reason => new YamlMergeError(`Section '${sectionPath}' not found: ${reason}`, filePath);
+    let value = content;
+
+    segments.forEach((segment, index) => {
+      const where = index > 0 ? ` under '${this.formatSectionPath(segments.slice(0, index))}'` : '';
+      const pick = name => {
+        if (!this.isPlainObject(value) || !(name in value)) {
+          throw notFound(`key '${name}' does not exist${where}`);
+        }
+        return value[name];
+      };
+
+      if (segment.type === 'key') {
+        value = pick(segment.name);
+      } else if (segment.type === 'index') {
+        if (!Array.isArray(value) || segment.index >= value.length) {
+          throw notFound(`list index [${segment.index}] is out of range${where}`);
+        }
+        value = value[segment.index];
+      } else {
+        const names = segment.type === 'wildcard' ?
+            (this.isPlainObject(value) ? Object.keys(value) : []) :
+            segment.names;
+        const selected = {};
+        names.forEach(name => {
+          selected[name] = pick(name);
+        });
+        value = selected;
+      }
+    });
+
+    if (value === null || value === undefined ||
+        (this.isPlainObject(value) && Object.keys(value).length === 0)) {
+      throw notFound('the selected value is empty');
+    }
+
+    return value;
+  }
+
+  resolvePrefix(fileRef) {
+    if (!fileRef.prefix) return null;
+
+    const prefix = this.resolveVariables(fileRef.prefix);
+    if (!LOGICAL_ID_PATTERN.test(prefix)) {
+      throw new YamlMergeError(
+          `Invalid prefix '${prefix}': CloudFormation logical IDs may only contain letters and digits`,
+          this.filePath
+      );
+    }
+
+    const section = fileRef.section ? this.resolveVariables(fileRef.section) : null;
+    if (!section || !PREFIX_SECTION_PATTERN.test(section)) {
+      throw new YamlMergeError(
+          `prefix=${prefix} needs a Resources or Outputs section selector such as :Resources, ` +
+              (section ? `got ':${section}'` : 'the whole file was included'),
+          this.filePath
+      );
+    }
+    return prefix;
+  }
+
+  getResourceIds(content) {
+    if (!content || typeof content !== 'object') return [];
+    const resources = content.Resources || (content.resources && content.resources.Resources);
+    return resources && typeof resources === 'object' ? Object.keys(resources) : [];
+  }
+
+  prefixSubstitutions(text, rename) {
+    return text.replace(/\$\{([A-Za-z0-9]+)((?:\.[A-Za-z0-9]+)*)\}/g, (match, id, attribute) => `\${${rename(id)}${attribute}}`);
+  }
+
+  // Dışa aktarım adında önek, son ${...} ifadesinden sonraki düz metnin başına eklenir
+  prefixExportName(name, prefix) {
+    const tail = name.lastIndexOf('}') + 1;
+    const at = tail + name.slice(tail).match(/^[-_:./]*/)[0].length;
+    return name.slice(0, at) + prefix + name.slice(at);
+  }
+
+  // Üst düzey anahtarlar öneklenir; Ref, GetAtt, Sub, DependsOn ve Export adları yeni kimliklere taşınır
+  prefixLines(lines, prefix, resourceIds = []) {
+    const significant = lines.filter(line => !line.isEmpty && !line.isComment && !line.isScalarContent);
+    if (!significant.length) return lines;
+
+    const baseIndent = Math.min(...significant.map(line => line.indent.length));
+    const ids = new Set([...resourceIds, ...significant
+        .filter(line => line.indent.length === baseIndent && !line.isList && line.key)
+        .map(line => line.key.replace(/^(["'])(.*)\1$/, '$2'))]);
+    const rename = id => ids.has(id) ? `${prefix}${id}` : id;
+    const item = '(["\']?)([A-Za-z0-9]+)(?=["\']?(?:\\s|[,\\]}]|$))';
+    let listOwner = null;
+    let exportOwner = null;
+
+    return lines.map(line => {
+      if (line.isEmpty || line.isComment) return line;
+
+      let content = line.content;
+      const column = line.indent.length;
+
+      if (!line.isScalarContent) {
+        if (listOwner && (column < listOwner.indent || (column === listOwner.indent && !line.isList))) {
+          listOwner = null;
+        }
+        if (exportOwner && column <= exportOwner.indent) {
+          exportOwner = null;
+        }
+
+        if (listOwner && line.isList && (listOwner.itemIndent === undefined || listOwner.itemIndent === column)) {
+          listOwner.itemIndent = column;
+          if (listOwner.key === 'DependsOn' || listOwner.count === 0) {
+            content = content.replace(new RegExp(`^(-\\s+)${item}`), (match, dash, quote, id) => dash + quote + rename(id));
+          }
+          listOwner.count++;
+        }
+
+        if (column === baseIndent && !line.isList && line.key) {
+          content = content.replace(/^(["']?)([^:'"]+)/, (match, quote, key) => quote + rename(key.trim()) + key.slice(key.trim().length));
+        }
+
+        if (exportOwner && line.key === 'Name') {
+          content = content.replace(/^(Name:\s+(?:!\S+\s+)?["']?)(.*?)(["']?\s*(?:#.*)?)$/,
+              (match, head, name, tail) => head + this.prefixExportName(name, prefix) + tail);
+        }
+        content = content.replace(/((?:^|[\s{,])Export:\s*\{\s*Name:\s+["']?)([^,}'"]*)/,
+            (match, head, name) => head + this.prefixExportName(name, prefix));
+
+        if (/^(?:-\s+)?(?:DependsOn|Fn::GetAtt):\s*(?:#.*)?$/.test(content)) {
+          listOwner = { key: content.includes('DependsOn') ? 'DependsOn' : 'Fn::GetAtt', indent: column, count: 0 };
+        } else if (/^(?:-\s+)?Export:\s*(?:#.*)?$/.test(content)) {
+          exportOwner = { indent: column };
+        }
+
+        content = content
+            .replace(new RegExp(`(!Ref\\s+|(?:^|[\\s{,])Ref:\\s+)${item}`, 'g'),
+                (match, head, quote, id) => head + quote + rename(id))
+            .replace(/((?:!GetAtt|Fn::GetAtt:)\s+\[?\s*["']?)([A-Za-z0-9]+)(?=["']?(?:\.|\s*,))/g,
+                (match, head, id) => head + rename(id))
+            .replace(new RegExp(`((?:^|[\\s{,])DependsOn:\\s+)${item}`),
+                (match, head, quote, id) => head + quote + rename(id))
+            .replace(/((?:^|[\s{,])DependsOn:\s+\[)([^\]]*)/,
+                (match, head, items) => head + items.replace(/(["']?)([A-Za-z0-9]+)\1/g, (entry, quote, id) => quote + rename(id) + quote));
+      }
+
+      content = this.prefixSubstitutions(content, rename);
+      return content === line.content ? line : new YamlLine(line.indent + content, line.source, line.context);
+    });
+  }
+
+  findSchemaType(value) {
+    return this.schema.compiledExplicit.find(type => typeof type.instanceOf === 'function' && value instanceof type.instanceOf) || null;
+  }
+
+  prefixNode(node, prefix, resourceIds = []) {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) return node;
+
+    const ids = new Set([...resourceIds, ...Object.keys(node)]);
+    const rename = id => ids.has(id) ? `${prefix}${id}` : id;
+    const renameExport = name => {
+      if (typeof name === 'string') return this.prefixExportName(name, prefix);
+      if (!name || typeof name['Fn::Sub'] !== 'string') return visit(name, 'Name');
+      const type = this.findSchemaType(name);
+      const sub = this.prefixExportName(name['Fn::Sub'], prefix);
+      return type ? type.construct(sub) : { ...name, 'Fn::Sub': sub };
+    };
+    const visit = (value, key = null) => {
+      if (Array.isArray(value)) {
+        if (key === 'DependsOn') return value.map(id => typeof id === 'string' ? rename(id) : visit(id));
+        if (key === 'Fn::GetAtt' && typeof value[0] === 'string') return [rename(value[0]), ...value.slice(1).map(item => visit(item))];
+        if (key === 'Fn::Sub' && typeof value[0] === 'string') return [this.prefixSubstitutions(value[0], rename), ...value.slice(1).map(item => visit(item))];
+        return value.map(item => visit(item));
+      }
+      if (typeof value === 'string') {
+        if (key === 'Ref' || key === 'DependsOn') return rename(value);
+        if (key === 'Fn::GetAtt') return value.replace(/^[^.]+/, rename);
+        if (key === 'Fn::Sub') return this.prefixSubstitutions(value, rename);
+        return value;
+      }
+      if (!value || typeof value !== 'object') return value;
+
+      // Etiketli değerler (!Ref, !Sub, ...) şemanın kendi türüyle yeniden oluşturulur ki etiket olarak yazılmaya devam etsinler
+      const type = this.findSchemaType(value);
+      if (type) {
+        const [[tagKey, data]] = Object.entries(value);
+        return type.construct(visit(data, tagKey));
+      }
+
+      const result = {};
+      Object.entries(value).forEach(([childKey, child]) => {
+        result[childKey] = key === 'Export' && childKey === 'Name' ? renameExport(child) : visit(child, childKey);
+      });
+      return result;
+    };
+
+    return Object.fromEntries(Object.entries(node).map(([id, value]) => [rename(id), visit(value, id)]));
+  }
+
+  async processMerge(fileRef, parentIndent = '') {
+    const mergedLines = [];
+    for (const resolvedPath of this.resolveFilePaths(fileRef)) {
+      mergedLines.push(...await this.processFile(resolvedPath, fileRef, parentIndent));
+    }
+    return mergedLines;
+  }
+
+  async processFile(resolvedPath, fileRef, parentIndent = '') {
+    this.getRootDocument().includedFiles.add(resolvedPath);
+    const subDocument = new YamlDocument(resolvedPath, {
+      ...this.options,
+      templateArgs: this.parseTemplateArgs(fileRef),
+      parentDocument: this
+    });
+
+    await subDocument.load();
+    await subDocument.merge();
+
+    // Dosyanın son satır sonu boş bir satır olarak eklenmez
+    const subLines = subDocument.lines.slice();
+    const last = subLines[subLines.length - 1];
+    if (last && last.raw === '' && !last.isScalarContent) subLines.pop();
+
+    let mergedLines = fileRef.section ?
+        this.extractSection(subLines, this.resolveVariables(fileRef.section), resolvedPath) :
+        subLines;
+
+    const prefix = this.resolvePrefix(fileRef);
+    if (prefix) {
+      mergedLines = this.prefixLines(mergedLines, prefix, this.getResourceIds(subDocument.parsedContent));
+    }
+
+    if (fileRef.section && fileRef.section.match(/^[A-Z]/)) {
+      let lastLineEmpty = false;
+      mergedLines = mergedLines.filter(line => {
+        if (line.isEmpty && !line.isScalarContent) {
+          if (lastLineEmpty) return false;
+          lastLineEmpty = true;
+          return true;
+        }
+        lastLineEmpty = false;
+        return true;
+      });
+    }
+
+    else {
+      mergedLines = mergedLines.filter((line, index, arr) => {
+        if (line.isEmpty && !line.isScalarContent) {
+          return !(index > 0 && index < arr.length - 1 &&
+              !arr[index - 1].isEmpty && !arr[index + 1].isEmpty);
+        }
+        return true;
+      });
+    }
+
+    return this.reindentLines(mergedLines, parentIndent, subDocument.indentWidth);
+  }
+
+  detectIndentWidth(lines) {
+    let width = 0;
+    let previous = null;
+
+    lines.forEach(line => {
+      if (line.isEmpty || line.isComment || line.isScalarContent) return;
+      if (previous) {
+        const column = previous.indent.length + previous.getListPrefix();
+        const delta = line.indent.length - column;
+        if (delta > 0 && (!width || delta < width)) width = delta;
+      }
+      previous = line;
+    });
+
+    return width || 2;
+  }
+
+  // Satırları ebeveyn satıra göre göreli konumlarıyla bu dosyanın girinti genişliğine taşır
+  reindentLines(lines, parentIndent, sourceWidth = 2) {
+    const targetWidth = this.indentWidth || 2;
+    const frames = [];
+    const first = lines.find(line => !line.isEmpty && !line.isComment && !line.isScalarContent);
+    let shift = first ? -first.indent.length : 0;
+
+    return lines.map(line => {
+      // Blok skaler içeriği ve yorumlar önceki satırla aynı kaydırmayla taşınır
+      if (line.isScalarContent || line.isComment) {
+        if (line.isEmpty) return line.clone();
+        return line.clone(parentIndent + ' '.repeat(Math.max(0, line.indent.length + shift)));
+      }
+      if (line.isEmpty) return line.clone();
+
+      const column = line.indent.length;
+      while (frames.length && frames[frames.length - 1].column > column) frames.pop();
+
+      const parent = frames[frames.length - 1];
+      let indent = 0;
+      if (parent && parent.column === column) {
+        indent = parent.indent;
+        frames.pop();
+      } else if (parent) {
+        const delta = column - parent.column;
+        indent = parent.indent + (sourceWidth === targetWidth ?
+            delta :
+            Math.max(1, Math.round(delta / sourceWidth)) * targetWidth);
+      }
+
+      frames.push({ column, indent });
+      const listPrefix = line.getListPrefix();
+      if (listPrefix) {
+        frames.push({ column: column + listPrefix, indent: indent + listPrefix });
+      }
+
+      shift = indent - column;
+      return line.clone(parentIndent + ' '.repeat(indent));
+    });
+  }
+
+  async merge() {
+    if (this.options.mode === 'semantic') {
+      return this.mergeSemantic();
+    }
+
+    const mergedLines = [];
+    let lastLineEmpty = false;
+    let listDirective = null;
+    const strategyScopes = [];
+
+    for (let i = 0; i < this.lines.length; i++) {
+      const line = this.lines[i];
+
+      if (listDirective && !line.isEmpty && !line.isComment &&
+          line.indent.length <= listDirective.indent.length) {
+        listDirective = null;
+      }
+
+      while (strategyScopes.length && !line.isEmpty && !line.isComment &&
+          line.indent.length < strategyScopes[strategyScopes.length - 1].indent.length) {
+        this.closeStrategyScope(mergedLines, strategyScopes.pop());
+      }
+
+      if (line.isEmpty && !line.isScalarContent) {
+        // Bölme doğrulaması ardışık boş satırları korur ki dosya kendi özgün baytlarıyla karşılaştırılabilsin
+        if (!lastLineEmpty || this.options.preserveBlankLines) mergedLines.push(line);
+        lastLineEmpty = true;
+        continue;
+      } else if (line.isComment) {
+        mergedLines.push(line);
+        lastLineEmpty = false;
+        continue;
+      }
+
+      lastLineEmpty = false;
+
+      if (line.isMergeDirective) {
+        let fileRef = this.withLineContext(line, () => this.parseFileReference(line.content));
+        if (fileRef && listDirective && !line.getMergeHead() && !listDirective.active) {
+          continue;
+        }
+        if (fileRef && !this.withLineContext(line, () => this.isConditionMet(fileRef.conditions))) {
+          // Koşul sağlanmazsa varsa else dosyası birleştirilir, yoksa satır iz bırakmadan atlanır
+          fileRef = fileRef.elseRef;
+          if (!fileRef) continue;
+        }
+        if (fileRef) {
+          const strategy = fileRef.strategy || (listDirective && listDirective.strategy) || this.getDefaultStrategy();
+          const indent = strategy !== 'pack' && listDirective && !line.getMergeHead() ?
+              listDirective.indent :
+              line.indent;
+          const mergedContent = await this.withLineContext(line, () => this.processMerge(fileRef, indent));
+
+          if (strategy === 'pack') {
+            mergedLines.push(...mergedContent);
+          } else {
+            const scope = strategyScopes[strategyScopes.length - 1];
+            if (scope && scope.indent === indent) {
+              this.closeStrategyScope(mergedLines, strategyScopes.pop());
+            }
+            this.withLineContext(line, () => this.applyStrategy(mergedLines, indent, mergedContent, strategy));
+            strategyScopes.push({ indent, strategy, start: mergedLines.length, line });
+          }
+          continue;
+        }
+
+        const head = line.getMergeHead();
+        if (head) {
+          listDirective = {
+            indent: line.indent,
+            strategy: this.withLineContext(line, () => this.resolveStrategy(head.modifiers)),
+            active: this.withLineContext(line, () => this.isConditionMet(head.conditions))
+          };
+        }
+      }
+
+      if (!line.isMergeDirective) {
+        mergedLines.push(this.linkAnchors(line));
+      }
+    }
+
+    while (strategyScopes.length) {
+      this.closeStrategyScope(mergedLines, strategyScopes.pop());
+    }
+
+    this.lines = mergedLines;
+    if (!this.parentDocument) {
+      this.checkAliases();
+    }
+    return this;
+  }
+
+  withLineContext(line, callback) {
+    const attachLine = error => {
+      if (error instanceof YamlMergeError && !error.line && error.filePath === this.filePath && line.source) {
+        error.line = line.source.line;
+      }
+      throw error;
+    };
+
+    try {
+      const result = callback();
+      return result && typeof result.then === 'function' ? result.catch(attachLine) : result;
+    } catch (error) {
+      attachLine(error);
+    }
+  }
+
+  getSourceMap(outputFile = this.filePath) {
+    const outputDir = path.dirname(path.resolve(outputFile));
+    const sources = [];
+    const chains = [];
+    const indexOf = (list, value) => {
+      const key = JSON.stringify(value);
+      let index = list.findIndex(item => JSON.stringify(item) === key);
+      if (index === -1) {
+        index = list.push(value) - 1;
+      }
+      return index;
+    };
+
+    const mappings = this.lines.map(line => {
+      if (!line.source) return null;
+      const chain = line.source.chain.map(file => indexOf(sources, path.relative(outputDir, file)));
+      return [
+        indexOf(sources, path.relative(outputDir, line.source.file)),
+        line.source.line,
+        indexOf(chains, chain)
+      ];
+    });
+
+    return {
+      version: 1,
+      file: path.basename(outputFile),
+      hash: crypto.createHash('sha256').update(this.toString()).digest('hex'),
+      sources,
+      chains,
+      mappings
+    };
+  }
+
+  getDefaultStrategy() {
+    return this.resolveStrategy(this.options.strategy ? [this.options.strategy] : []) || 'pack';
+  }
+
+  resolveStrategy(modifiers) {
+    const strategies = modifiers.filter(Boolean);
+
+    for (const strategy of strategies) {
+      if (!MERGE_STRATEGIES.includes(strategy)) {
+        throw new YamlMergeError(
+            `Unknown merge strategy '${strategy}'. Expected one of: ${MERGE_STRATEGIES.join(', ')}`,
+            this.filePath
+        );
+      }
+    }
+
+    if (strategies.length > 1) {
+      throw new YamlMergeError(`Multiple merge strategies given: ${strategies.join(', ')}`, this.filePath);
+    }
+
+    return strategies[0] || null;
+  }
+
+  closeStrategyScope(mergedLines, scope) {
+    const siblingLines = mergedLines.splice(scope.start);
+    if (siblingLines.length) {
+      this.withLineContext(scope.line, () => this.applyStrategy(mergedLines, scope.indent, siblingLines, scope.strategy));
+    }
+  }
+
+  applyStrategy(mergedLines, indent, incomingLines, strategy) {
+    let start = mergedLines.length;
+    while (start > 0) {
+      const previous = mergedLines[start - 1];
+      if (!previous.isEmpty && !previous.isComment && previous.indent.length < indent.length) {
+        break;
+      }
+      start--;
+    }
+
+    const targetLines = mergedLines.splice(start);
+    mergedLines.push(...this.mergeLineEntries(targetLines, incomingLines, strategy, []));
+  }
+
+  mergeLineEntries(targetLines, incomingLines, strategy, keyPath) {
+    const entries = this.splitEntries(targetLines);
+
+    for (const entry of this.splitEntries(incomingLines)) {
+      if (entry.key === null) {
+        if (strategy === 'unique' && entries.some(existing => existing.key === null && this.isSameEntry(existing, entry))) {
+          continue;
+        }
+        entries.push(entry);
+        continue;
+      }
+
+      const existing = entries.find(candidate => candidate.key === entry.key);
+      if (!existing) {
+        entries.push(entry);
+        continue;
+      }
+
+      const existingKind = this.getEntryKind(existing);
+      const incomingKind = this.getEntryKind(entry);
+      const entryPath = [...keyPath, entry.key];
+
+      if (existingKind === 'mapping' && incomingKind === 'mapping' ||
+          existingKind === 'list' && incomingKind === 'list' && (strategy === 'append' || strategy === 'unique')) {
+        const head = this.getEntryHead(existing);
+        existing.lines = [
+          ...existing.lines.slice(0, head + 1),
+          ...this.mergeLineEntries(
+              existing.lines.slice(head + 1),
+              entry.lines.slice(this.getEntryHead(entry) + 1),
+              strategy,
+              entryPath
+          )
+        ];
+        continue;
+      }
+
+      if (strategy === 'strict') {
+        const sources = this.describeSources(
+            existing.lines[this.getEntryHead(existing)].source,
+            entry.lines[this.getEntryHead(entry)].source
+        );
+        throw new YamlMergeError(`Key collision on '${entryPath.join('.')}' with strict merge strategy, ${sources}`, this.filePath);
+      }
+
+      if (strategy !== 'keep-first') {
+        existing.lines = entry.lines;
+      }
+    }
+
+    return entries.reduce((lines, entry) => lines.concat(entry.lines), []);
+  }
+
+  splitEntries(lines) {
+    const significant = lines.filter(line => !line.isEmpty && !line.isComment);
+    if (significant.length === 0) {
+      return lines.length ? [{ key: null, lines: [...lines] }] : [];
+    }
+
+    const baseIndent = Math.min(...significant.map(line => line.indent.length));
+    const entries = [];
+    let pending = [];
+
+    for (const line of lines) {
+      if (line.isEmpty || line.isComment) {
+        pending.push(line);
+      } else if (line.indent.length <= baseIndent || entries.length === 0) {
+        entries.push({ key: line.isList ? null : line.key, lines: [...pending, line] });
+        pending = [];
+      } else {
+        entries[entries.length - 1].lines.push(...pending, line);
+        pending = [];
+      }
+    }
+
+    if (pending.length) {
+      entries[entries.length - 1].lines.push(...pending);
+    }
+
+    return entries;
+  }
+
+  getEntryHead(entry) {
+    return entry.lines.findIndex(line => !line.isEmpty && !line.isComment);
+  }
+
+  getEntryKind(entry) {
+    const headIndex = this.getEntryHead(entry);
+    const head = entry.lines[headIndex];
+    const value = head.content.slice(head.content.indexOf(':') + 1).trim();
+
+    if (value && !value.startsWith('#')) {
+      return 'scalar';
+    }
+
+    const firstChild = entry.lines.slice(headIndex + 1).find(line => !line.isEmpty && !line.isComment);
+    if (!firstChild) {
+      return 'scalar';
+    }
+    return firstChild.isList ? 'list' : 'mapping';
+  }
+
+  isSameEntry(a, b) {
+    const normalize = entry => entry.lines
+        .filter(line => !line.isEmpty && !line.isComment)
+        .map(line => line.raw.trimEnd())
+        .join('\n');
+    return normalize(a) === normalize(b);
+  }
+
+  async mergeSemantic() {
+    const [external] = this.findExternalAliases();
+    if (external) {
+      throw new YamlMergeError(
+          `Alias '*${external.token.name}' refers to an anchor in another file, which is only supported in text mode`,
+          this.filePath,
+          null,
+          external.line.source ? external.line.source.line : null
+      );
+    }
+
+    this.parsedContent = await this.resolveNode(this.parsedContent);
+    return this;
+  }
+
+  async resolveNode(node) {
+    if (Array.isArray(node)) {
+      let items = [];
+      for (const item of node) {
+        const fileRef = this.parseValueReference(item);
+        if (fileRef) {
+          const value = await this.loadReference(fileRef);
+          items = this.mergeValues(items, Array.isArray(value) ? value : [value], fileRef, this.getDefaultStrategy());
+          continue;
+        }
+        items.push(await this.resolveNode(item));
+      }
+      return items;
+    }
+
+    if (!this.isPlainObject(node)) {
+      return node;
+    }
+
+    let result = {};
+    for (const [key, value] of Object.entries(node)) {
+      const head = YamlLine.parseMergeHead(`${key}:`);
+      if (head) {
+        const strategy = this.resolveStrategy(head.modifiers) || this.getDefaultStrategy();
+        const active = this.isConditionMet(head.conditions);
+        const refs = Array.isArray(value) ? value : [value];
+        for (const ref of refs) {
+          let fileRef = this.parseValueReference(ref, head.conditions.length > 0 && !Array.isArray(value));
+          if (!fileRef) {
+            throw new YamlMergeError(`Invalid merge directive value under '${key}'`, this.filePath);
+          }
+          if (!active) {
+            fileRef = Array.isArray(value) ? null : fileRef.elseRef;
+            if (!fileRef) continue;
+          }
+          const fileStrategy = fileRef.strategy || strategy;
+          result = this.mergeValues(result, await this.loadReference(fileRef, fileStrategy), fileRef, fileStrategy);
+        }
+        continue;
+      }
+
+      const resolved = await this.resolveNode(value);
+      result[key] = key in result ? this.deepMerge(result[key], resolved, 'override', [key]) : resolved;
+    }
+    return result;
+  }
+
+  async loadReference(fileRef, strategy = this.getDefaultStrategy()) {
+    const values = [];
+    for (const resolvedPath of this.resolveFilePaths(fileRef)) {
+      values.push(await this.loadFile(resolvedPath, fileRef));
+    }
+    return values.reduce((result, item) => this.mergeValues(result, item, fileRef, strategy));
+  }
+
+  async loadFile(resolvedPath, fileRef) {
+    this.getRootDocument().includedFiles.add(resolvedPath);
+    const subDocument = new YamlDocument(resolvedPath, {
+      ...this.options,
+      templateArgs: this.parseTemplateArgs(fileRef),
+      parentDocument: this
+    });
+
+    await subDocument.load();
+    await subDocument.merge();
+
+    const content = fileRef.section ?
+        this.selectSection(subDocument.parsedContent, this.resolveVariables(fileRef.section), resolvedPath) :
+        subDocument.parsedContent;
+    const prefix = this.resolvePrefix(fileRef);
+
+    return prefix ? this.prefixNode(content, prefix, this.getResourceIds(subDocument.parsedContent)) : content;
+  }
+
+  mergeValues(target, source, fileRef, strategy) {
+    if (source === null || source === undefined) {
+      return target;
+    }
+
+    if (Array.isArray(source)) {
+      if (Array.isArray(target)) {
+        return this.deepMerge(target, source, strategy === 'unique' ? 'unique' : 'append', [], fileRef);
+      }
+      if (this.isPlainObject(target) && Object.keys(target).length === 0) {
+        return this.deepMerge([], source, strategy === 'unique' ? 'unique' : 'append', [], fileRef);
+      }
+    } else if (this.isPlainObject(source) && !Array.isArray(target)) {
+      return this.deepMerge(target, source, strategy, [], fileRef);
+    }
+
+    throw new YamlMergeError(
+        `Cannot merge ${Array.isArray(source) ? 'a list' : typeof source} from ${fileRef.raw} into ${Array.isArray(target) ? 'a list' : 'a mapping'}`,
+        this.filePath
+    );
+  }
+
+  deepMerge(target, source, strategy = 'override', keyPath = [], fileRef = null) {
+    if (this.isPlainObject(target) && this.isPlainObject(source)) {
+      for (const [key, value] of Object.entries(source)) {
+        target[key] = key in target ?
+            this.deepMerge(target[key], value, strategy, [...keyPath, key], fileRef) :
+            value;
+      }
+      return target;
+    }
+
+    if (Array.isArray(target) && Array.isArray(source) && (strategy === 'append' || strategy === 'unique')) {
+      const items = [...target];
+      for (const item of source) {
+        if (strategy === 'unique' && items.some(existing => this.isSameValue(existing, item))) {
+          continue;
+        }
+        items.push(item);
+      }
+      return items;
+    }
+
+    if (strategy === 'strict') {
+      // Semantik modda satır bilgisi yoktur, çakışan değeri getiren include adıyla belirtilir
+      const from = fileRef ? ` while merging ${fileRef.raw}` : '';
+      throw new YamlMergeError(`Key collision on '${keyPath.join('.')}' with strict merge strategy${from}`, this.filePath);
+    }
+
+    return strategy === 'keep-first' ? target : source;
+  }
+
+  isSameValue(a, b) {
+    return yaml.dump(a, { schema: this.schema, sortKeys: true }) ===
+        yaml.dump(b, { schema: this.schema, sortKeys: true });
+  }
+
+  parseValueReference(value, conditional = false) {
+    if (typeof value !== 'string') return null;
+    const fileRef = this.parseFileReference(value, conditional);
+    return fileRef && fileRef.consumed === value.trim().length ? fileRef : null;
+  }
+
+  isPlainObject(value) {
+    return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+  }
+
+  parseFileReference(content, conditional = false) {
+    const head = YamlLine.parseMergeHead(content.trim());
+    content = (head ? content.trim().slice(head.raw.length) : content.replace(/^\s*-\s*/, '')).trim();
+
+    const match = content.match(FILE_REFERENCE_PATTERN);
+    if (!match) return null;
+
+    const start = match.index;
+    const pathStart = start + match[0].length;
+    const pathEnd = this.findClosing(content, pathStart, '(', ')');
+    const end = pathEnd === -1 ? -1 : this.findClosing(content, pathEnd + 1, '{', '}');
+    if (end === -1) return null;
+
+    const [filePath, ...args] = this.splitArguments(content.slice(pathStart, pathEnd));
+    const [suffix, ...options] = this.splitArguments(content.slice(pathEnd + 1, end).trim());
+    const { prefix } = this.parseIncludeOptions(options);
+    const conditions = head ? head.conditions : [];
+    const elseMatch = conditions.length || conditional ? content.slice(end + 1).match(/^\s+else\s+(?=\$\{)/) : null;
+    const elseRef = elseMatch ? this.parseFileReference(content.slice(end + 1 + elseMatch[0].length)) : null;
+    return {
+      path: match[0] === '${pkg(' ? `${PACKAGE_PREFIX}${filePath}` : filePath,
+      section: suffix.startsWith(':') ? suffix.slice(1).trim() || undefined : undefined,
+      excludes: args.filter(arg => arg.startsWith('!')).map(arg => arg.slice(1).trim()),
+      args: args.find(arg => arg.startsWith('{')) || null,
+      multiple: match[0] === '${files(',
+      prefix,
+      raw: content.slice(start, end + 1),
+      strategy: head ? this.resolveStrategy(head.modifiers) : null,
+      conditions,
+      elseRef: elseRef ? { ...elseRef, strategy: head ? this.resolveStrategy(head.modifiers) : null } : null,
+      consumed: start === 0 ? end + 1 + (elseRef ? elseMatch[0].length + elseRef.consumed : 0) : -1
+    };
+  }
+
+  parseIncludeOptions(options) {
+    const result = {};
+
+    options.forEach(option => {
+      const match = option.match(/^([\w-]+)\s*=\s*(\S.*)$/);
+      if (!match) {
+        throw new YamlMergeError(`Invalid include option '${option}'. Expected name=value`, this.filePath);
+      }
+      if (!INCLUDE_OPTIONS.includes(match[1])) {
+        throw new YamlMergeError(
+            `Unknown include option '${match[1]}'. Expected one of: ${INCLUDE_OPTIONS.join(', ')}`,
+            this.filePath
+        );
+      }
+      result[match[1]] = match[2].trim();
+    });
+
+    return result;
+  }
+
+  splitArguments(content) {
+    const args = [];
+    const pairs = { '(': ')', '{': '}', '[': ']' };
+    const stack = [];
+    let quote = null;
+    let current = '';
+
+    for (const char of content) {
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (pairs[char]) {
+        stack.push(pairs[char]);
+      } else if (char === stack[stack.length - 1]) {
+        stack.pop();
+      } else if (char === ',' && stack.length === 0) {
+        args.push(current.trim());
+        current = '';
+        continue;
+      }
+      current += char;
+    }
+
+    args.push(current.trim());
+    return args;
+  }
+
+  findClosing(content, from, open, close) {
+    let depth = 0;
+    for (let i = from; i < content.length; i++) {
+      if (content[i] === open) {
+        depth++;
+      } else if (content[i] === close) {
+        if (depth === 0) return i;
+        depth--;
+      }
+    }
+    return -1;
+  }
+
+  toString() {
+    if (this.options.mode === 'semantic') {
+      return yaml.dump(this.parsedContent, {
+        schema: this.schema,
+        lineWidth: -1,
+        noRefs: true
+      });
+    }
+
+    // Son satır dosyanın sonlandırıcı satır sonuysa ikinci bir satır sonu eklenmez
+    const last = this.lines[this.lines.length - 1];
+    const text = this.lines.map(line => line.raw).join(EOL);
+    return last && last.raw === '' && !last.isScalarContent ? text : text + EOL;
+  }
+}
+
+function isGlobPattern(pattern) {
+  return /[*?[\]{}]/.test(pattern);
+}
+
+function globToRegExp(pattern) {
+  let source = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*') {
+      const segmentStart = i === 0 || pattern[i - 1] === '/';
+      if (pattern[i + 1] === '*' && segmentStart && pattern[i + 2] === '/') {
+        source += '(?:[^/]+/)*';
+        i += 2;
+      } else if (pattern[i + 1] === '*' && segmentStart && i + 2 === pattern.length) {
+        source += '.*';
+        i += 1;
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{' && pattern.indexOf('}', i) !== -1) {
+      const end = pattern.indexOf('}', i);
+      const alternatives = pattern.slice(i + 1, end).split(',').map(part => globToRegExp(part).source.slice(1, -1));
+      source += `(?:${alternatives.join('|')})`;
+      i = end;
+    } else if (char === '[' && pattern.indexOf(']', i) !== -1) {
+      const end = pattern.indexOf(']', i);
+      const range = pattern.slice(i + 1, end);
+      source += `[${range.startsWith('!') ? '^' + range.slice(1) : range}]`;
+      i = end;
+    } else {
+      source += char.replace(/[.+^$|()\\\]]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+// node_modules ve nokta ile başlayan dizinler taranmaz
+function expandGlob(pattern, cwd = process.cwd(), fileSystem = nodeFileSystem) {
+  const absolute = fileSystem.resolve(cwd, pattern).split(path.sep).join('/');
+  const segments = absolute.split('/');
+  const firstGlob = segments.findIndex(segment => isGlobPattern(segment));
+
+  if (firstGlob === -1) {
+    return fileSystem.exists(absolute) ? [path.normalize(absolute)] : [];
+  }
+
+  const root = segments.slice(0, firstGlob).join('/') || '/';
+  const matcher = globToRegExp(absolute);
+  const results = [];
+
+  const walk = directory => {
+    let names;
+    try {
+      names = fileSystem.readdir(directory);
+    } catch (error) {
+      return;
+    }
+
+    for (const name of names) {
+      const fullPath = `${directory.replace(/\/$/, '')}/${name}`;
+      if (fileSystem.isDirectory(fullPath)) {
+        if (name !== 'node_modules' && !name.startsWith('.')) {
+          walk(fullPath);
+        }
+      } else if (matcher.test(fullPath)) {
+        results.push(path.normalize(fullPath));
+      }
+    }
+  };
+
+  walk(root);
+  return results.sort();
+}
+
+function createUnifiedDiff(oldText, newText, oldLabel = 'original', newLabel = 'merged', context = 3) {
+  const toLines = text => {
+    const lines = text.split(/\r?\n/);
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+  };
+  const oldLines = toLines(oldText);
+  const newLines = toLines(newText);
+
+  let prefix = 0;
+  while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (suffix < oldLines.length - prefix && suffix < newLines.length - prefix &&
+      oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]) {
+    suffix++;
+  }
+
+  const a = oldLines.slice(prefix, oldLines.length - suffix);
+  const b = newLines.slice(prefix, newLines.length - suffix);
+  const width = b.length + 1;
+  const lcs = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i * width + j] = a[i] === b[j] ?
+          lcs[(i + 1) * width + j + 1] + 1 :
+          Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const operations = oldLines.slice(0, prefix).map(line => ({ type: ' ', line }));
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      operations.push({ type: ' ', line: a[i++] });
+      j++;
+    } else if (i < a.length && (j === b.length || lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+      operations.push({ type: '-', line: a[i++] });
+    } else {
+      operations.push({ type: '+', line: b[j++] });
+    }
+  }
+  operations.push(...oldLines.slice(oldLines.length - suffix).map(line => ({ type: ' ', line })));
+
+  const hunks = [];
+  let oldLine = 1;
+  let newLine = 1;
+  let hunk = null;
+  let trailingContext = 0;
+
+  operations.forEach((operation, index) => {
+    if (operation.type !== ' ') {
+      if (!hunk) {
+        const start = Math.max(0, index - context);
+        const leading = operations.slice(start, index);
+        hunk = {
+          oldStart: oldLine - leading.length,
+          newStart: newLine - leading.length,
+          lines: leading.map(item => ` ${item.line}`)
+        };
+        hunks.push(hunk);
+      }
+      hunk.lines.push(`${operation.type}${operation.line}`);
+      trailingContext = 0;
+    } else if (hunk) {
+      const nextChange = operations.slice(index, index + context * 2 + 1).findIndex(item => item.type !== ' ');
+      if (trailingContext < context || nextChange !== -1) {
+        hunk.lines.push(` ${operation.line}`);
+        trailingContext++;
+      } else {
+        hunk = null;
+      }
+    }
+
+    if (operation.type !== '+') oldLine++;
+    if (operation.type !== '-') newLine++;
+  });
+
+  if (hunks.length === 0) {
+    return '';
+  }
+
+  const output = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+  for (const item of hunks) {
+    const oldCount = item.lines.filter(line => !line.startsWith('+')).length;
+    const newCount = item.lines.filter(line => !line.startsWith('-')).length;
+    output.push(`@@ -${oldCount ? item.oldStart : item.oldStart - 1},${oldCount} +${newCount ? item.newStart : item.newStart - 1},${newCount} @@`);
+    output.push(...item.lines);
+  }
+  return output.join(EOL) + EOL;
+}
+
+function findProjectConfig(startDir = process.cwd()) {
+  for (let dir = path.resolve(startDir); ; dir = path.dirname(dir)) {
+    for (const name of PROJECT_CONFIG_FILES) {
+      const file = path.join(dir, name);
+      if (fs.existsSync(file)) {
+        return file;
+      }
+    }
+
+    const manifest = path.join(dir, 'package.json');
+    if (fs.existsSync(manifest)) {
+      try {
+        if (JSON.parse(fs.readFileSync(manifest, 'utf8')).serverlessMerge !== undefined) {
+          return manifest;
+        }
+      } catch (error) {
+        // Bozuk package.json yapılandırma kaynağı sayılmaz
+      }
+    }
+
+    if (dir === path.dirname(dir)) return null;
+  }
+}
+
+function loadProjectConfig(file) {
+  let config;
+  try {
+    const content = fs.readFileSync(file, 'utf8');
+    if (path.basename(file) === 'package.json') {
+      config = JSON.parse(content).serverlessMerge;
+    } else {
+      config = path.extname(file) === '.json' ? JSON.parse(content) : yaml.load(content);
+    }
+  } catch (error) {
+    throw new YamlMergeError(`Cannot read project config: ${error.reason || error.message}`, file, error);
+  }
+  return validateProjectConfig(config || {}, file);
+}
+
+function validateProjectConfig(config, file) {
+  const prefix = path.basename(file) === 'package.json' ? 'serverlessMerge.' : '';
+  const fail = (field, reason) => {
+    throw new YamlMergeError(`Invalid project config field '${prefix}${field}': ${reason}`, file);
+  };
+  const isMapping = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const checkParams = (field, params) => {
+    if (!isMapping(params)) fail(field, 'expected a mapping of names to values');
+    for (const [name, value] of Object.entries(params)) {
+      if (value === null || typeof value === 'object') fail(`${field}.${name}`, 'expected a string, number or boolean');
+    }
+  };
+
+  if (!isMapping(config)) {
+    throw new YamlMergeError('Invalid project config: expected a mapping', file);
+  }
+
+  const baseDir = path.dirname(file);
+  const resolve = value => path.relative(process.cwd(), path.resolve(baseDir, value)) || '.';
+  const result = { configPath: file };
+
+  for (const [field, value] of Object.entries(config)) {
+    const type = PROJECT_CONFIG_FIELDS[field];
+    if (!type) {
+      fail(field, `unknown field, expected one of: ${Object.keys(PROJECT_CONFIG_FIELDS).join(', ')}`);
+    }
+
+    if (Array.isArray(type)) {
+      if (!type.includes(value)) fail(field, `expected one of: ${type.join(', ')}`);
+      result[field] = value;
+    } else if (type === 'string' || type === 'path') {
+      if (typeof value !== 'string' || !value) fail(field, 'expected a non-empty string');
+      result[field] = type === 'path' ? resolve(value) : value;
+    } else if (type === 'strings' || type === 'paths') {
+      const values = [].concat(value);
+      if (!values.length || values.some(item => typeof item !== 'string' || !item)) {
+        fail(field, 'expected a string or a list of strings');
+      }
+      result[field] = type === 'paths' ? values.map(resolve) : values;
+    } else if (type === 'boolean') {
+      if (typeof value !== 'boolean') fail(field, 'expected true or false');
+      result[field] = value;
+    } else if (type === 'integer') {
+      if (!Number.isInteger(value) || value < 0) fail(field, 'expected a non-negative integer');
+      result[field] = value;
+    } else if (type === 'params') {
+      checkParams(field, value);
+      result[field] = value;
+    } else if (type === 'stages') {
+      if (!isMapping(value)) fail(field, 'expected a mapping of stage names');
+      for (const [stage, stageConfig] of Object.entries(value)) {
+        if (!isMapping(stageConfig)) fail(`${field}.${stage}`, 'expected a mapping with a params field');
+        for (const key of Object.keys(stageConfig)) {
+          if (key !== 'params') fail(`${field}.${stage}.${key}`, 'unknown field, expected params');
+        }
+        if (stageConfig.params !== undefined) checkParams(`${field}.${stage}.params`, stageConfig.params);
+      }
+      result[field] = value;
+    }
+  }
+
+  return result;
+}
+
+class YamlMerger {
+  constructor(options = {}) {
+    const given = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+    // config: false proje yapılandırmasını kapatır, bir dosya yolu verilirse arama yapılmaz
+    const configPath = given.config === false ? null : given.config || findProjectConfig();
+    const projectConfig = configPath ? loadProjectConfig(configPath) : {};
+    const { stages = {}, ...defaults } = projectConfig;
+
+    this.options = {
+      schema: CLOUDFORMATION_SCHEMA,
+      preserveFormat: true,
+      mode: 'text',
+      strict: false,
+      logLevel: 'info',
+      ...defaults,
+      ...given
+    };
+    const stage = this.options.stage !== undefined ? stages[this.options.stage] : null;
+    this.options.params = {
+      ...projectConfig.params,
+      ...(stage && stage.params),
+      ...given.params
+    };
+    this.logger = this.options.logger || new Logger(this.options.logLevel, this.options.logWriter);
+    this.backupDir = this.options.backupDir || '.mergebackup';
+    // Son birleştirmede her kök dosyanın ulaştığı dosyalar (--watch için)
+    this.includedFiles = new Map();
+    if (configPath) {
+      this.logger.debug(`Using project config ${configPath}`);
+    }
+  }
+
+
+  // Yeni yardımcı method - Yapılandırma dosyasını bulur
+  findConfigFile(inputFile) {
+    // Özel dosya belirtilmişse önce onu kontrol et
+    if (inputFile && fs.existsSync(inputFile)) {
+      return inputFile;
+    }
+
+    // Varsayılan dosyaları sırayla kontrol et
+    const defaultFiles = this.options.configFiles || DEFAULT_CONFIG_FILES;
+
+    for (const file of defaultFiles) {
+      if (fs.existsSync(file)) {
+        this.logger.info(`Found configuration file: ${file}`);
+        return file;
+      }
+    }
+
+    throw new Error('No valid configuration file found');
+  }
+
+  getProjectRoot() {
+    return this.options.configPath ? path.dirname(path.resolve(this.options.configPath)) : process.cwd();
+  }
+
+  // Yedekler proje köküne göre göreli yolla anahtarlanır, böylece aynı adlı dosyalar çakışmaz
+  getBackupKey(inputFile) {
+    const absolute = path.resolve(inputFile);
+    const relative = path.relative(this.getProjectRoot(), absolute);
+    const key = relative.startsWith('..') || path.isAbsolute(relative) ?
+        path.join('_external', absolute.replace(/^([a-zA-Z]:)?[\\/]+/, '')) :
+        relative;
+    return key.split(path.sep).join('/');
+  }
+
+  getBackupFile(key) {
+    return key.startsWith('_external/') ?
+        path.resolve('/', key.slice('_external/'.length)) :
+        path.resolve(this.getProjectRoot(), key);
+  }
+
+  getBackupStorePath(inputFile) {
+    const { dir, name, ext } = path.posix.parse(this.getBackupKey(inputFile));
+    return path.join(this.backupDir, ...dir.split('/').filter(Boolean), `${name}-backup${ext}`);
+  }
+
+  getBackupPath(inputFile) {
+    const backupPath = this.getBackupStorePath(inputFile);
+    if (fs.existsSync(backupPath)) {
+      return backupPath;
+    }
+
+    // Eski sürümlerin yalnızca dosya adıyla yazdığı yedekler, başka bir dosyaya ait değilse kullanılır
+    const fileName = path.basename(inputFile);
+    const legacyName = `${path.parse(fileName).name}-backup${path.parse(fileName).ext}`;
+    const legacyPath = path.join(this.backupDir, legacyName);
+    const claimed = Object.values(this.readManifest().backups).some(entry => entry.backup === legacyName);
+    if (!claimed && fs.existsSync(legacyPath)) {
+      return legacyPath;
+    }
+
+    return null;
+  }
+
+  getManifestPath() {
+    return path.join(this.backupDir, 'manifest.json');
+  }
+
+  readManifest() {
+    const manifestPath = this.getManifestPath();
+    if (fs.existsSync(manifestPath)) {
+      try {
+        const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+        if (manifest && typeof manifest.backups === 'object') {
+          return manifest;
+        }
+      } catch (error) {
+        this.logger.warn(`Ignoring unreadable backup manifest ${manifestPath}: ${error.message}`);
+      }
+    }
+    return { version: 1, backups: {} };
+  }
+
+  writeManifest(manifest) {
+    const manifestPath = this.getManifestPath();
+    if (!Object.keys(manifest.backups).length) {
+      if (fs.existsSync(manifestPath)) fs.unlinkSync(manifestPath);
+      return;
+    }
+    fs.mkdirSync(this.backupDir, { recursive: true });
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+  }
+
+  hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  recordBackup(inputFile, backupPath, original, merged = null) {
+    const manifest = this.readManifest();
+    const key = this.getBackupKey(inputFile);
+    const previous = merged !== null ? manifest.backups[key] : null;
+    manifest.backups[key] = {
+      backup: path.relative(this.backupDir, backupPath).split(path.sep).join('/'),
+      createdAt: previous ? previous.createdAt : new Date().toISOString(),
+      originalHash: this.hashContent(original),
+      mergedAt: merged !== null ? new Date().toISOString() : null,
+      mergedHash: merged !== null ? this.hashContent(merged) : null
+    };
+    this.writeManifest(manifest);
+  }
+
+  getBackupStatus(file, backupPath, entry) {
+    if (!fs.existsSync(backupPath)) {
+      return 'backup-missing';
+    }
+    if (this.hashContent(this.removeBackupTags(fs.readFileSync(backupPath, 'utf8'))) !== entry.originalHash) {
+      return 'tampered';
+    }
+    if (!fs.existsSync(file)) {
+      return 'missing';
+    }
+
+    const hash = this.hashContent(fs.readFileSync(file, 'utf8'));
+    if (entry.mergedHash && hash !== entry.mergedHash) {
+      return hash === entry.originalHash ? 'restored' : 'modified';
+    }
+    return 'ok';
+  }
+
+  describeBackupStatus(status) {
+    return {
+      'ok': 'merged output is unchanged',
+      'modified': 'the merged file was edited after merging, restoring would discard those edits',
+      'tampered': 'the backup was changed after it was written',
+      'missing': 'the merged file no longer exists',
+      'restored': 'the file already contains its original content',
+      'backup-missing': 'the backup file no longer exists',
+      'legacy': 'backup written by an older version, not tracked in the manifest'
+    }[status];
+  }
+
+  listBackups() {
+    const manifest = this.readManifest();
+    const backups = Object.entries(manifest.backups).map(([key, entry]) => {
+      const file = this.getBackupFile(key);
+      const backupPath = path.join(this.backupDir, entry.backup);
+      return {
+        file: path.relative(process.cwd(), file) || file,
+        backup: backupPath,
+        createdAt: entry.createdAt,
+        mergedAt: entry.mergedAt,
+        status: this.getBackupStatus(file, backupPath, entry)
+      };
+    });
+
+    const tracked = new Set(Object.values(manifest.backups).map(entry => entry.backup));
+    const legacyFiles = fs.existsSync(this.backupDir) ? fs.readdirSync(this.backupDir) : [];
+    for (const name of legacyFiles.filter(name => /-backup\.ya?ml$/.test(name) && !tracked.has(name))) {
+      const backupPath = path.join(this.backupDir, name);
+      backups.push({
+        file: name.replace('-backup', ''),
+        backup: backupPath,
+        createdAt: fs.statSync(backupPath).mtime.toISOString(),
+        mergedAt: null,
+        status: 'legacy'
+      });
+    }
+
+    return backups.sort((a, b) => a.file.localeCompare(b.file));
+  }
+
+  // Kaynağı silinmiş, zaten geri yüklenmiş veya yedeği kaybolmuş kayıtları temizler
+  pruneBackups() {
+    const manifest = this.readManifest();
+    const pruned = [];
+
+    for (const [key, entry] of Object.entries(manifest.backups)) {
+      const file = this.getBackupFile(key);
+      const backupPath = path.join(this.backupDir, entry.backup);
+      const status = this.getBackupStatus(file, backupPath, entry);
+      if (!['missing', 'restored', 'backup-missing'].includes(status)) continue;
+
+      if (fs.existsSync(backupPath)) fs.unlinkSync(backupPath);
+      delete manifest.backups[key];
+      pruned.push({ file: path.relative(process.cwd(), file) || file, backup: backupPath, status });
+      this.logger.info(`Pruned backup of ${path.relative(process.cwd(), file) || file}: ${this.describeBackupStatus(status)}`);
+    }
+
+    this.writeManifest(manifest);
+    this.cleanBackupDirectory();
+    return pruned;
+  }
+
+  hasMergeDirectives(content) {
+    return content.includes('merge:') || content.includes('$<<:') || content.includes('merge:pack');
+  }
+
+  removeBackupTags(content) {
+    return content.replace(/#MergeBackup\n/g, '');
+  }
+
+
+  async restore(inputFile = null, { force = this.options.force } = {}) {
+    try {
+      const configFile = this.findConfigFile(inputFile);
+      const backupPath = this.getBackupPath(configFile);
+
+      if (!backupPath) {
+        this.logger.warn(`No backup found for ${configFile}`);
+        return false;
+      }
+
+      const backupContent = fs.readFileSync(backupPath, 'utf8');
+
+      if (backupContent.includes('#MergeBackup')) {
+        const manifest = this.readManifest();
+        const key = this.getBackupKey(configFile);
+        const entry = manifest.backups[key];
+
+        // Birleştirmeden sonra düzenlenmiş dosyalar veya değiştirilmiş yedekler sessizce ezilmez
+        const status = entry ? this.getBackupStatus(configFile, backupPath, entry) : 'legacy';
+        if (!force && (status === 'modified' || status === 'tampered')) {
+          throw new Error(`Refusing to restore ${configFile}: ${this.describeBackupStatus(status)}. Use --force to restore anyway`);
+        }
+
+        this.logger.info(`Restoring original ${configFile}`);
+        const contentToRestore = this.removeBackupTags(backupContent);
+        fs.writeFileSync(configFile, contentToRestore);
+        fs.unlinkSync(backupPath);
+        if (entry) {
+          delete manifest.backups[key];
+          this.writeManifest(manifest);
+        }
+        this.removeSourceMap(configFile);
+        this.logger.info('Backup file removed');
+        this.cleanBackupDirectory();
+        this.logger.info('Restore completed');
+        return true;
+      } else {
+        this.logger.warn('Backup file exists but does not have backup tag. Skipping restore.');
+        return false;
+      }
+    } catch (error) {
+      this.logger.error('Restore failed:', error.message);
+      throw error;
+    }
+  }
+
+  findYamlFiles(directory, recursive = false) {
+    const yamlFiles = [];
+    const files = fs.readdirSync(directory);
+
+    files.forEach(file => {
+      const filePath = path.join(directory, file);
+      const stats = fs.statSync(filePath);
+
+      if (recursive && stats.isDirectory() && !file.startsWith('.') && file !== 'node_modules') {
+        yamlFiles.push(...this.findYamlFiles(filePath, true));
+      } else if (stats.isFile() &&
+          (file.endsWith('.yml') || file.endsWith('.yaml')) &&
+          !file.includes('-backup')) {
+        yamlFiles.push(path.normalize(filePath));
+      }
+    });
+
+    return yamlFiles;
+  }
+
+  cleanBackupDirectory(directory = this.backupDir) {
+    if (!fs.existsSync(directory)) return;
+
+    for (const name of fs.readdirSync(directory)) {
+      const fullPath = path.join(directory, name);
+      if (fs.statSync(fullPath).isDirectory()) {
+        this.cleanBackupDirectory(fullPath);
+      }
+    }
+
+    if (fs.readdirSync(directory).length === 0) {
+      fs.rmdirSync(directory);
+      if (directory === this.backupDir) {
+        this.logger.info('Empty backup directory removed');
+      }
+    }
+  }
+
+
+  getSourceMapPath(outputFile) {
+    return `${outputFile}.map`;
+  }
+
+  writeSourceMap(document, outputFile) {
+    if (!this.options.sourceMap) {
+      return null;
+    }
+
+    if (this.options.mode === 'semantic') {
+      this.logger.warn('Source maps are only available in text merge mode');
+      return null;
+    }
+
+    const sourceMapPath = this.getSourceMapPath(outputFile);
+    fs.writeFileSync(sourceMapPath, JSON.stringify(document.getSourceMap(outputFile), null, 2));
+    this.logger.info(`Source map written to ${sourceMapPath}`);
+    return sourceMapPath;
+  }
+
+  removeSourceMap(outputFile) {
+    const sourceMapPath = this.getSourceMapPath(outputFile);
+    if (fs.existsSync(sourceMapPath)) {
+      fs.unlinkSync(sourceMapPath);
+      this.logger.info('Source map removed');
+    }
+  }
+
+  // Birleştirilecek kaynağı bulur: dosya birleştirilmişse yedekteki orijinal içerik kullanılır
+  readMergeSource(inputFile) {
+    const content = fs.readFileSync(inputFile, 'utf8');
+    const backupPath = this.getBackupPath(inputFile);
+
+    if (!this.hasMergeDirectives(content) && backupPath) {
+      const backupContent = fs.readFileSync(backupPath, 'utf8');
+      if (backupContent.includes('#MergeBackup')) {
+        return { content: this.removeBackupTags(backupContent), fromBackup: true };
+      }
+    }
+
+    return { content, fromBackup: false };
+  }
+
+  // Yerinde birleştirilmiş dosyayı geri yüklemeden kaynağından yeniden birleştirir; hata olursa diske hiçbir şey yazılmaz
+  async remerge(inputFile) {
+    const { content, fromBackup } = this.readMergeSource(inputFile);
+    const document = await this.mergeInMemory(inputFile, content);
+    this.checkDuplicateKeys(document);
+    this.validateDocument(document);
+    const merged = document.toString();
+
+    const backupPath = fromBackup ? this.getBackupPath(inputFile) : this.getBackupStorePath(inputFile);
+    if (!fromBackup) {
+      fs.mkdirSync(path.dirname(backupPath), { recursive: true });
+      fs.writeFileSync(backupPath, '#MergeBackup\n' + this.removeBackupTags(content));
+      this.logger.info(`Original file backed up to ${backupPath}`);
+    }
+    fs.writeFileSync(inputFile, merged);
+    this.recordBackup(inputFile, backupPath, this.removeBackupTags(content), merged);
+    this.writeSourceMap(document, inputFile);
+    return merged;
+  }
+
+  async mergeInMemory(inputFile, content) {
+    const document = new YamlDocument(path.normalize(inputFile), {
+      ...this.options,
+      logger: this.logger
+    });
+    this.includedFiles.set(path.resolve(inputFile), document.includedFiles);
+
+    await document.load(content);
+    await document.merge();
+    return document;
+  }
+
+  // Diske hiçbir şey yazmadan birleştirir (--stdout ve --dry-run için)
+  async render(inputFile = null, outputFile = null) {
+    const configFile = path.normalize(this.findConfigFile(inputFile));
+    const { content } = this.readMergeSource(configFile);
+    const document = await this.mergeInMemory(configFile, content);
+    this.checkDuplicateKeys(document);
+    this.validateDocument(document);
+
+    const targetPath = outputFile ? path.normalize(outputFile) : configFile;
+    let current = content;
+    if (targetPath !== configFile) {
+      current = fs.existsSync(targetPath) ? fs.readFileSync(targetPath, 'utf8') : '';
+    }
+
+    return {
+      inputFile: configFile,
+      outputFile: targetPath,
+      original: current,
+      merged: document.toString(),
+      document
+    };
+  }
+
+  async diff(inputFile = null, outputFile = null) {
+    const result = await this.render(inputFile, outputFile);
+    const label = result.outputFile.split(path.sep).join('/');
+    return createUnifiedDiff(result.original, result.merged, `a/${label}`, `b/${label}`);
+  }
+
+  async check(inputFile = null, outputFile = null) {
+    const configFile = path.normalize(this.findConfigFile(inputFile));
+    const { content, fromBackup } = this.readMergeSource(configFile);
+    const result = {
+      file: configFile,
+      target: null,
+      success: true,
+      reproducible: true,
+      upToDate: true,
+      missing: false,
+      diff: ''
+    };
+
+    const first = await this.mergeInMemory(configFile, content);
+    this.checkDuplicateKeys(first);
+    this.validateDocument(first);
+    const merged = first.toString();
+    const second = (await this.mergeInMemory(configFile, content)).toString();
+
+    if (merged !== second) {
+      result.reproducible = false;
+      result.diff = createUnifiedDiff(merged, second, 'first run', 'second run');
+    }
+
+    // Çıktı dosyası verilmemişse ve dosya yerinde birleştirilmişse kendisiyle karşılaştırılır
+    const target = outputFile ? path.normalize(outputFile) : (fromBackup ? configFile : null);
+    if (target) {
+      result.target = target;
+      if (!fs.existsSync(target)) {
+        result.missing = true;
+        result.upToDate = false;
+      } else {
+        const current = fs.readFileSync(target, 'utf8');
+        if (current !== merged) {
+          const label = target.split(path.sep).join('/');
+          result.upToDate = false;
+          result.diff = createUnifiedDiff(current, merged, `a/${label}`, `b/${label}`);
+        }
+      }
+    }
+
+    result.success = result.reproducible && result.upToDate;
+    return result;
+  }
+
+  async bulkCheck(directory = null, pattern = null) {
+    const results = [];
+    const fileArray = this.collectFiles(directory, pattern);
+
+    if (fileArray.length === 0) {
+      this.logger.warn('No YAML files found for checking');
+      return [];
+    }
+
+    for (const file of fileArray) {
+      try {
+        results.push(await this.check(file));
+      } catch (error) {
+        results.push(this.handleBulkError('Check', file, error));
+      }
+    }
+
+    const successCount = results.filter(r => r.success).length;
+    this.logger.info(`Bulk check completed. Up to date: ${successCount}/${fileArray.length}`);
+    return results;
+  }
+
+  describeCheckResult(result) {
+    if (result.error) {
+      return `${result.file}: merge failed: ${result.error}`;
+    }
+
+    const problems = [];
+    if (!result.reproducible) {
+      problems.push('merge output is not reproducible');
+    }
+    if (result.missing) {
+      problems.push(`output file ${result.target} does not exist`);
+    } else if (!result.upToDate) {
+      const lines = result.diff.split(/\r?\n/);
+      const added = lines.filter(line => line.startsWith('+') && !line.startsWith('+++')).length;
+      const removed = lines.filter(line => line.startsWith('-') && !line.startsWith('---')).length;
+      const target = result.target === result.file ? 'merged output' : result.target;
+      problems.push(`${target} is out of date (+${added} -${removed} lines)`);
+    }
+
+    return problems.length ? `${result.file}: ${problems.join(', ')}` : `${result.file}: up to date`;
+  }
+
+  async buildIncludeGraph(inputs = [], pattern = null) {
+    const roots = [];
+    const directories = new Set();
+
+    for (const input of inputs.length ? inputs : [null]) {
+      if (input && fs.existsSync(input) && fs.statSync(input).isDirectory()) {
+        directories.add(path.resolve(input));
+        roots.push(...this.collectFiles(input, null).map(file => path.resolve(file)));
+      } else if (input || !pattern) {
+        roots.push(path.resolve(this.findConfigFile(input)));
+      }
+    }
+    if (pattern) {
+      roots.push(...this.collectFiles(null, pattern).map(file => path.resolve(file)));
+    }
+
+    const graph = { roots: [...new Set(roots)], files: {}, orphans: [] };
+
+    const visit = async (file, templateArgs = null) => {
+      if (graph.files[file]) return;
+
+      const node = { includes: [], error: null };
+      graph.files[file] = node;
+
+      const document = new YamlDocument(file, { ...this.options, templateArgs, logger: this.logger });
+      try {
+        // Yerinde birleştirilmiş kök dosyalar için yedekteki yönergeler okunur
+        await document.load(graph.roots.includes(file) ? this.readMergeSource(file).content : null);
+      } catch (error) {
+        node.error = error.message;
+        return;
+      }
+
+      for (const include of document.getIncludes()) {
+        const edge = { path: include.path, section: include.section || null, line: include.line, file: null, error: null };
+        let files;
+        let args;
+        try {
+          files = document.resolveFilePaths(include);
+          args = document.parseTemplateArgs(include);
+        } catch (error) {
+          node.includes.push({ ...edge, error: error.message });
+          continue;
+        }
+        for (const file of files) {
+          node.includes.push({ ...edge, file });
+          await visit(file, args);
+        }
+      }
+    };
+
+    for (const root of graph.roots) {
+      directories.add(path.dirname(root));
+      await visit(root);
+    }
+
+    // Hiçbir yerden referans verilmeyen yaml dosyaları
+    const orphans = new Set();
+    for (const directory of directories) {
+      for (const file of this.findYamlFiles(directory, true)) {
+        const resolved = path.resolve(file);
+        if (!graph.files[resolved]) {
+          orphans.add(resolved);
+        }
+      }
+    }
+    graph.orphans = [...orphans].sort();
 
-  toString() {
-    return this.lines.map(line => line.raw).join(EOL) + EOL;
+    return graph;
   }
-}
 
-class YamlMerger {
-  constructor(options = {}) {
-    this.options = {
-      schema: CLOUDFORMATION_SCHEMA,
-      preserveFormat: true,
-      logLevel: 'info',
-      ...options
+  formatIncludeGraph(graph, format = 'tree') {
+    const relative = file => (path.relative(process.cwd(), file) || file).split(path.sep).join('/');
+    const describeEdge = edge => {
+      const target = edge.file ? relative(edge.file) : edge.path;
+      const selector = edge.section ? `:${edge.section}` : '';
+      return `${target}${selector}`;
     };
-    this.logger = new Logger(this.options.logLevel);
-    this.backupDir = '.mergebackup';
-  }
 
-
-  // Yeni yardımcı method - Yapılandırma dosyasını bulur
-  findConfigFile(inputFile) {
-    // Özel dosya belirtilmişse önce onu kontrol et
-    if (inputFile && fs.existsSync(inputFile)) {
-      return inputFile;
+    if (format === 'json') {
+      const files = {};
+      for (const [file, node] of Object.entries(graph.files)) {
+        files[relative(file)] = {
+          ...(node.error ? { error: node.error } : {}),
+          includes: node.includes.map(edge => ({
+            path: edge.path,
+            file: edge.file ? relative(edge.file) : null,
+            section: edge.section,
+            line: edge.line,
+            ...(edge.error ? { error: edge.error } : {})
+          }))
+        };
+      }
+      return JSON.stringify({
+        roots: graph.roots.map(relative),
+        files,
+        orphans: graph.orphans.map(relative)
+      }, null, 2) + EOL;
     }
 
-    // Varsayılan dosyaları sırayla kontrol et
-    const defaultFiles = [
-      'serverless.yml',
-      'serverless.yaml',
-      'template.yml',
-      'template.yaml'
-    ];
-
-    for (const file of defaultFiles) {
-      if (fs.existsSync(file)) {
-        this.logger.info(`Found configuration file: ${file}`);
-        return file;
+    if (format === 'dot') {
+      const quote = value => `"${value.replace(/"/g, '\\"')}"`;
+      const lines = ['digraph includes {', '  rankdir=LR;'];
+      graph.roots.forEach(root => lines.push(`  ${quote(relative(root))} [shape=box];`));
+      for (const [file, node] of Object.entries(graph.files)) {
+        for (const edge of node.includes) {
+          const attributes = [];
+          if (edge.section) attributes.push(`label=${quote(':' + edge.section)}`);
+          if (edge.error) attributes.push('color=red', 'style=dashed');
+          const target = edge.file ? relative(edge.file) : edge.path;
+          lines.push(`  ${quote(relative(file))} -> ${quote(target)}${attributes.length ? ` [${attributes.join(', ')}]` : ''};`);
+        }
       }
+      graph.orphans.forEach(orphan => lines.push(`  ${quote(relative(orphan))} [style=dashed];`));
+      lines.push('}');
+      return lines.join(EOL) + EOL;
     }
 
-    throw new Error('No valid configuration file found');
-  }
+    if (format !== 'tree') {
+      throw new Error(`Unknown graph format: ${format}. Expected one of: tree, json, dot`);
+    }
 
-  getBackupPath(inputFile) {
-    const fileName = path.basename(inputFile);
-    const backupName = `${path.parse(fileName).name}-backup${path.parse(fileName).ext}`;
-    const backupPath = path.join(this.backupDir, backupName);
+    const lines = [];
+    const printNode = (file, prefix, ancestors) => {
+      const node = graph.files[file];
+      if (!node) return;
+      if (node.error) {
+        lines.push(`${prefix}└── (error: ${node.error.split(/\r?\n/)[0]})`);
+      }
+      node.includes.forEach((edge, index) => {
+        const last = index === node.includes.length - 1;
+        let label = describeEdge(edge);
+        if (edge.error) {
+          label += ` (unresolved: ${edge.error})`;
+        } else if (ancestors.includes(edge.file)) {
+          label += ' (circular)';
+        }
+        lines.push(`${prefix}${last ? '└── ' : '├── '}${label}`);
+        if (edge.file && !edge.error && !ancestors.includes(edge.file)) {
+          printNode(edge.file, prefix + (last ? '    ' : '│   '), [...ancestors, edge.file]);
+        }
+      });
+    };
 
-    // Eğer backup dosyası varsa yolunu döndür
-    if (fs.existsSync(backupPath)) {
-      return backupPath;
+    for (const root of graph.roots) {
+      lines.push(relative(root));
+      printNode(root, '', [root]);
     }
 
-    // Backup bulunamadıysa null döndür
-    return null;
-  }
-
-  hasMergeDirectives(content) {
-    return content.includes('merge:') || content.includes('$<<:') || content.includes('merge:pack');
-  }
+    if (graph.orphans.length) {
+      lines.push('', 'Orphaned files (never referenced):');
+      graph.orphans.forEach(orphan => lines.push(`  ${relative(orphan)}`));
+    }
 
-  removeBackupTags(content) {
-    return content.replace(/#MergeBackup\n/g, '');
+    return lines.join(EOL) + EOL;
   }
 
+  async trace(inputFile, lineNumber) {
+    const configFile = this.findConfigFile(inputFile);
+    const line = parseInt(lineNumber, 10);
+    if (!Number.isInteger(line) || line < 1) {
+      throw new Error(`Invalid line number: ${lineNumber}`);
+    }
 
-  async restore(inputFile = null) {
-    try {
-      const configFile = this.findConfigFile(inputFile);
-      const backupPath = this.getBackupPath(configFile);
+    const sourceMapPath = this.getSourceMapPath(configFile);
+    const baseDir = path.dirname(path.resolve(configFile));
+    let sourceMap;
 
-      if (!backupPath) {
-        this.logger.warn(`No backup found for ${configFile}`);
-        return false;
+    if (fs.existsSync(sourceMapPath)) {
+      sourceMap = JSON.parse(fs.readFileSync(sourceMapPath, 'utf8'));
+      const hash = crypto.createHash('sha256').update(fs.readFileSync(configFile, 'utf8')).digest('hex');
+      if (sourceMap.hash !== hash) {
+        this.logger.warn(`${configFile} was modified after the source map was written, trace may be inaccurate`);
       }
+    } else {
+      const { content } = this.readMergeSource(configFile);
+      const document = await this.mergeInMemory(configFile, content);
+      sourceMap = document.getSourceMap(configFile);
+    }
 
-      const backupContent = fs.readFileSync(backupPath, 'utf8');
+    if (line > sourceMap.mappings.length) {
+      throw new Error(`Line ${line} is outside of ${configFile} (${sourceMap.mappings.length} lines)`);
+    }
 
-      if (backupContent.includes('#MergeBackup')) {
-        this.logger.info(`Restoring original ${configFile}`);
-        const contentToRestore = this.removeBackupTags(backupContent);
-        fs.writeFileSync(configFile, contentToRestore);
-        fs.unlinkSync(backupPath);
-        this.logger.info('Backup file removed');
-        this.cleanBackupDirectory();
-        this.logger.info('Restore completed');
-        return true;
-      } else {
-        this.logger.warn('Backup file exists but does not have backup tag. Skipping restore.');
-        return false;
-      }
-    } catch (error) {
-      this.logger.error('Restore failed:', error.message);
-      throw error;
+    const mapping = sourceMap.mappings[line - 1];
+    if (!mapping) {
+      return null;
     }
-  }
 
-  findYamlFiles(directory) {
-    const yamlFiles = [];
-    const files = fs.readdirSync(directory);
+    const [sourceIndex, sourceLine, chainIndex] = mapping;
+    const file = path.resolve(baseDir, sourceMap.sources[sourceIndex]);
+    // Yerinde birleştirilmiş kök dosyanın satırları yedekteki özgün içerikten okunur
+    const content = file === path.resolve(configFile) ? this.readMergeSource(configFile).content :
+        fs.existsSync(file) ? fs.readFileSync(file, 'utf8') :
+        null;
+    return {
+      file,
+      line: sourceLine,
+      chain: sourceMap.chains[chainIndex].map(index => path.resolve(baseDir, sourceMap.sources[index])),
+      text: content !== null ? content.split(/\r?\n/)[sourceLine - 1] : null
+    };
+  }
 
-    files.forEach(file => {
-      const filePath = path.join(directory, file);
-      const stats = fs.statSync(filePath);
+  validateDocument(document) {
+    if (!this.options.validate) {
+      return [];
+    }
 
-      if (stats.isFile() &&
-          (file.endsWith('.yml') || file.endsWith('.yaml')) &&
-          !file.includes('-backup')) {
-        yamlFiles.push(path.normalize(filePath));
-      }
-    });
+    const findings = document.validate();
+    if (findings.length) {
+      throw new YamlMergeError(
+          `Validation failed with ${findings.length} error${findings.length > 1 ? 's' : ''}:${EOL}` +
+              findings.map(finding => document.describeFinding(finding)).join(EOL),
+          document.filePath
+      );
+    }
 
-    return yamlFiles;
+    this.logger.debug(`Validation passed for ${document.filePath}`);
+    return findings;
   }
 
-  cleanBackupDirectory() {
-    if (fs.existsSync(this.backupDir)) {
-      const files = fs.readdirSync(this.backupDir);
-      if (files.length === 0) {
-        fs.rmdirSync(this.backupDir);
-        this.logger.info('Empty backup directory removed');
-      }
+  checkDuplicateKeys(document) {
+    if (this.options.mode === 'semantic') {
+      return [];
     }
-  }
 
+    const duplicates = document.findDuplicateKeys();
+    const messages = duplicates.map(duplicate => document.describeDuplicateKey(duplicate));
+
+    if (duplicates.length && this.options.strict) {
+      throw new YamlMergeError(
+          `Duplicate keys found in merged output:${EOL}${messages.join(EOL)}`,
+          document.filePath
+      );
+    }
+
+    messages.forEach(message => this.logger.warn(`Duplicate key: ${message}`));
+    return duplicates;
+  }
 
   handleBulkError(operation, filePath, error) {
     this.logger.error(`${operation} failed for ${filePath}:`, error.message);
@@ -474,13 +3310,24 @@ class YamlMerger {
         throw new Error(`Input file not found: ${normalizedPath}`);
       }
 
+      // Farklı bir çıktı dosyası verilmişse girdiye dokunulmaz, yedek de gerekmez
+      if (outputFile && path.resolve(outputFile) !== path.resolve(normalizedPath)) {
+        const { merged, document } = await this.render(normalizedPath);
+        const outputPath = path.normalize(outputFile);
+        fs.writeFileSync(outputPath, merged);
+        this.writeSourceMap(document, outputPath);
+        this.logger.info(`Merged output written to ${outputPath}`);
+        return true;
+      }
+
       // Backup path oluştur
-      const backupPath = path.join(this.backupDir, `${path.basename(normalizedPath, path.extname(normalizedPath))}-backup${path.extname(normalizedPath)}`);
+      const backupPath = this.getBackupStorePath(normalizedPath);
+      const existingBackup = this.getBackupPath(normalizedPath);
       const originalContent = fs.readFileSync(normalizedPath, 'utf8');
 
       // Merge yönergelerini ve yedeği kontrol et
-      if (!this.hasMergeDirectives(originalContent) && fs.existsSync(backupPath)) {
-        const backupContent = fs.readFileSync(backupPath, 'utf8');
+      if (!this.hasMergeDirectives(originalContent) && existingBackup) {
+        const backupContent = fs.readFileSync(existingBackup, 'utf8');
         if (backupContent.includes('#MergeBackup')) {
           this.logger.info('No merge directives found and valid backup exists. Restoring first...');
           await this.restore(normalizedPath);
@@ -489,14 +3336,13 @@ class YamlMerger {
       }
 
       // Yedek dizini yoksa oluştur
-      if (!fs.existsSync(this.backupDir)) {
-        fs.mkdirSync(this.backupDir, { recursive: true });
-      }
+      fs.mkdirSync(path.dirname(backupPath), { recursive: true });
 
       // MergeBackup tag'i ile yedek oluştur
       const cleanContent = this.removeBackupTags(originalContent);
       const contentToBackup = '#MergeBackup\n' + cleanContent;
       fs.writeFileSync(backupPath, contentToBackup);
+      this.recordBackup(normalizedPath, backupPath, cleanContent);
       this.logger.info(`Original file backed up to ${backupPath}`);
       isRestoreNeeded = true;
 
@@ -505,20 +3351,26 @@ class YamlMerger {
         ...this.options,
         logger: this.logger
       });
+      this.includedFiles.set(path.resolve(normalizedPath), document.includedFiles);
 
       await document.load();
       await document.merge();
+      this.checkDuplicateKeys(document);
+      this.validateDocument(document);
 
       // Birleştirilmiş içeriği yaz
       const outputPath = outputFile || normalizedPath;
-      fs.writeFileSync(outputPath, document.toString());
+      const merged = document.toString();
+      fs.writeFileSync(outputPath, merged);
+      this.recordBackup(normalizedPath, backupPath, cleanContent, merged);
+      this.writeSourceMap(document, outputPath);
 
       this.logger.info('Merge completed successfully');
       return true;
 
     } catch (error) {
-      this.logger.error('Merge failed:', error.message);
-      if (isRestoreNeeded && !outputFile) {
+      this.logger.error('Merge failed:', error.location ? `${error.location}: ${error.message}` : error.message);
+      if (isRestoreNeeded) {
         try {
           await this.restore(inputFile);
         } catch (restoreError) {
@@ -530,32 +3382,368 @@ class YamlMerger {
     }
   }
 
-  async bulkProcess(directory = null, pattern = null) {
-    const results = [];
-    let files = new Set();
+  // process()'in tersi: tek parça dosyayı alt dosyalara böler, birleştirme ile aynen geri elde edilemeyen bölümler yerinde kalır
+  async split(inputFile = null, { outDir = null, functionFiles = false, dryRun = false, force = this.options.force } = {}) {
+    const configFile = path.resolve(this.findConfigFile(inputFile));
+    const rootDir = path.dirname(configFile);
+    const targetDir = path.resolve(outDir || path.join(rootDir, 'subymls'));
+    const relative = file => path.relative(process.cwd(), file) || file;
+    const original = fs.readFileSync(configFile, 'utf8');
 
-    try {
-      if (directory) {
-        const normalizedDir = path.normalize(directory);
-        if (fs.existsSync(normalizedDir)) {
-          if (fs.statSync(normalizedDir).isDirectory()) {
-            // Dizin ise içindeki yaml dosyalarını bul
-            const dirFiles = this.findYamlFiles(normalizedDir);
-            dirFiles.forEach(file => files.add(file));
-          } else {
-            // Tek dosya ise direkt ekle
-            files.add(normalizedDir);
-          }
+    if (this.hasMergeDirectives(original)) {
+      throw new YamlMergeError('File already contains merge directives, only a plain file can be split', relative(configFile));
+    }
+    if (this.getBackupPath(configFile) && !force) {
+      throw new YamlMergeError(
+          'File has a merge backup, restore it before splitting or use --force to replace the backup',
+          relative(configFile)
+      );
+    }
+
+    const document = new YamlDocument(configFile, { ...this.options, logger: this.logger });
+    await document.load(original);
+
+    // Doğrulama özgün baytlarla yapılır; dosya kendi başına bile aynen birleşmiyorsa hiçbir bölüm doğrulanamaz
+    const alone = await this.mergeSplit(configFile, { [configFile]: original });
+    if (alone !== original) {
+      const expectedLines = original.split(EOL);
+      const actualLines = alone.split(EOL);
+      const line = expectedLines.findIndex((text, i) => text !== actualLines[i]);
+      throw new YamlMergeError(
+          'File does not merge back to itself byte for byte, the split could not be verified',
+          relative(configFile),
+          null,
+          line === -1 ? expectedLines.length : line + 1
+      );
+    }
+
+    const entries = document.splitEntries(document.lines).map(entry => entry.lines);
+    const files = {};
+    const inline = [];
+    const toText = lines => lines.map(line => line.raw).join(EOL);
+
+    for (let index = 0; index < entries.length; index++) {
+      const plan = this.planSplit(document, entries, index, { rootDir, targetDir, functionFiles });
+      if (!plan) continue;
+
+      const trial = entries.map((lines, i) => i === index ? plan.lines : lines);
+      const trialFiles = { ...files, ...plan.files, [configFile]: toText(trial.flat()) };
+
+      let merged = null;
+      try {
+        merged = await this.mergeSplit(configFile, trialFiles);
+      } catch (error) {
+        this.logger.debug(`Merging the split '${plan.key}' failed: ${error.message}`);
+      }
+
+      if (merged !== original) {
+        const hint = plan.key === 'functions' && !functionFiles ? ' (try --function-files)' : '';
+        this.logger.warn(`Keeping '${plan.key}' inline: merging the split files does not reproduce it byte for byte${hint}`);
+        inline.push(plan.key);
+        continue;
+      }
+
+      entries.splice(0, entries.length, ...trial);
+      Object.assign(files, plan.files);
+    }
+
+    const written = Object.keys(files);
+    if (!written.length) {
+      this.logger.warn('Nothing to split');
+      return { files: [], inline, backup: null };
+    }
+
+    const existing = written.filter(file => fs.existsSync(file));
+    if (existing.length && !force && !dryRun) {
+      throw new YamlMergeError(
+          `Refusing to overwrite ${existing.map(relative).join(', ')}. Use --force to overwrite`,
+          relative(configFile)
+      );
+    }
+
+    // Kök dosya yeniden yazılmadan önce birleştirme yedekleriyle aynı yere yedeklenir, --restore bölmeyi geri alır
+    const root = toText(entries.flat());
+    const backupPath = this.getBackupStorePath(configFile);
+    if (dryRun) {
+      this.logger.info(`Would back up ${relative(configFile)} to ${backupPath}`);
+    } else {
+      fs.mkdirSync(path.dirname(backupPath), { recursive: true });
+      const cleanContent = this.removeBackupTags(original);
+      fs.writeFileSync(backupPath, '#MergeBackup\n' + cleanContent);
+      this.recordBackup(configFile, backupPath, cleanContent, root);
+      this.logger.info(`Original file backed up to ${backupPath}`);
+    }
+
+    for (const file of [...written, configFile]) {
+      const content = file === configFile ? root : files[file];
+      if (dryRun) {
+        this.logger.info(`Would write ${relative(file)}`);
+        continue;
+      }
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, content);
+      this.logger.info(`Written ${relative(file)}`);
+    }
+
+    this.logger.info(`Split ${relative(configFile)} into ${written.length} file${written.length === 1 ? '' : 's'}, verified by merging`);
+    return { files: written, inline, backup: dryRun ? null : backupPath };
+  }
+
+  async mergeSplit(configFile, files) {
+    const document = new YamlDocument(configFile, {
+      ...this.options,
+      preserveBlankLines: true,
+      logger: new Logger('error', () => {}),
+      fileSystem: new MemoryFileSystem(files, process.cwd())
+    });
+    await document.load();
+    await document.merge();
+    return document.toString();
+  }
+
+  planSplit(document, entries, index, { rootDir, targetDir, functionFiles }) {
+    const lines = entries[index];
+    const headIndex = document.getEntryHead({ lines });
+    const head = lines[headIndex];
+    if (!head || !SPLIT_SECTIONS.includes(head.key) || document.getEntryKind({ lines }) !== 'mapping') {
+      return null;
+    }
+
+    const unit = ' '.repeat(document.indentWidth);
+    const childIndent = head.indent + unit;
+    const leadingBlanks = blockLines => Math.max(0, blockLines.findIndex(line => !line.isEmpty));
+    // Bölümleri ayıran boş satırlar kökte kalır: ara boş satırlar sonraki bölüme, belge sonundakiler son bölümün kuyruğuna aittir
+    let children = lines.slice(headIndex + 1);
+    const end = children.length - leadingBlanks([...children].reverse());
+    const tail = children.slice(end);
+    children = children.slice(0, end);
+
+    const reference = (file, section = '') => {
+      const relativePath = path.relative(rootDir, file).split(path.sep).join('/');
+      return `\${file(${relativePath.startsWith('.') ? relativePath : `./${relativePath}`})${section}}`;
+    };
+    const directive = (indent, value) => new YamlLine(`${indent}merge: ${value}`, head.source);
+    // Alt dosyalar 0 sütunundan başlar; yorumlar içerikle birlikte kaydırılır, dosya satır sonuyla biter
+    const toFile = fileLines => {
+      const significant = fileLines.filter(line => !line.isEmpty && !line.isComment && !line.isScalarContent);
+      const baseIndent = Math.min(...significant.map(line => line.indent.length));
+      return fileLines
+          .map(line => line.isEmpty && !line.isScalarContent ? '' : line.raw.slice(Math.min(baseIndent, line.indent.length)))
+          .join(EOL) + EOL;
+    };
+    const keep = lines.slice(0, headIndex + 1);
+
+    if (head.key === 'resources') {
+      const sections = document.splitEntries(children);
+      const picked = sections.filter(section => {
+        const sectionHead = section.lines[document.getEntryHead(section)];
+        return sectionHead && ['Resources', 'Outputs'].includes(sectionHead.key) && document.getEntryKind(section) === 'mapping';
+      });
+      if (!picked.length) return null;
+
+      const file = path.join(targetDir, 'resources.yml');
+      const rootLines = sections.flatMap(section => {
+        if (!picked.includes(section)) return section.lines;
+        const sectionHeadIndex = document.getEntryHead(section);
+        const sectionHead = section.lines[sectionHeadIndex];
+        return [
+          ...section.lines.slice(0, sectionHeadIndex + 1),
+          directive(sectionHead.indent + unit, reference(file, `:${sectionHead.key}`))
+        ];
+      });
+      // Seçilen bölüm kendisini izleyen boş satırları içermediği için dosyada bölümler arasına boş satır konur
+      const fileLines = picked.flatMap((section, i) => [
+        ...(i > 0 ? [new YamlLine('', head.source)] : []),
+        ...section.lines.slice(document.getEntryHead(section))
+      ]);
+
+      return {
+        key: 'resources',
+        lines: [...keep, ...rootLines, ...tail],
+        files: { [file]: toFile(fileLines) }
+      };
+    }
+
+    if (head.key === 'functions' && functionFiles) {
+      const functions = document.splitEntries(children);
+      if (functions.some(entry => entry.key === null || !/^[\w.-]+$/.test(entry.key))) return null;
+
+      const files = {};
+      const items = functions.flatMap(entry => {
+        const file = path.join(targetDir, 'functions', `${entry.key}.yml`);
+        const blanks = leadingBlanks(entry.lines);
+        files[file] = toFile(entry.lines.slice(blanks));
+        return [...entry.lines.slice(0, blanks), new YamlLine(`${childIndent}${unit}- ${reference(file)}`, head.source)];
+      });
+
+      return {
+        key: 'functions',
+        // pack listesi öğeleri `- ` sütununa girintiler, append ise anahtarın sütununu korur
+        lines: [...keep, new YamlLine(`${childIndent}merge:append:`, head.source), ...items, ...tail],
+        files
+      };
+    }
+
+    const file = path.join(targetDir, `${head.key}.yml`);
+    return {
+      key: head.key,
+      lines: [...keep, directive(childIndent, reference(file)), ...tail],
+      files: { [file]: toFile(children) }
+    };
+  }
+
+  // Kök dosyaları ve birleştirmenin ulaştığı dosyaları izler, değişiklikte yalnız etkilenen kökler yeniden birleştirilir
+  async watch(inputs = [], { outputFile = null, debounce = WATCH_DEBOUNCE_MS } = {}) {
+    const roots = (inputs.length ? inputs : [null]).map(input => path.resolve(this.findConfigFile(input)));
+    const relative = file => path.relative(process.cwd(), file) || file;
+    // Kökün kendisine yazılan çıktı yerinde birleştirmedir
+    if (outputFile && roots.includes(path.resolve(outputFile))) {
+      outputFile = null;
+    }
+    const dependencies = new Map(roots.map(root => [root, new Set()]));
+    const ownWrites = new Map();
+    const watchers = new Map();
+    const changed = new Set();
+    let watched = new Set();
+    let timer = null;
+    let queue = Promise.resolve();
+
+    // İlk birleştirme process() ile yapılır; sonrakiler yerinde birleştirilmiş kökü geri yüklemeden yedekteki kaynaktan üretir
+    const mergeRoot = async (root, initial = false) => {
+      const remerge = !outputFile && !initial;
+      try {
+        if (remerge) {
+          await this.remerge(relative(root));
+        } else {
+          await this.process(relative(root), outputFile);
         }
+        dependencies.set(root, new Set(this.includedFiles.get(root)));
+
+        // Aracın kendi yazdığı çıktı, içerik özetiyle tanınır ve yeniden birleştirmeyi tetiklemez
+        const outputPath = path.resolve(outputFile || root);
+        ownWrites.set(outputPath, this.hashContent(fs.readFileSync(outputPath, 'utf8')));
+      } catch (error) {
+        if (remerge) {
+          this.logger.error('Merge failed:', error.location ? `${error.location}: ${error.message}` : error.message);
+        }
+        // Hata öncesinde ulaşılan dosyalar da izlenir ki düzeltmeleri yeniden birleştirmeyi tetiklesin
+        const reached = this.includedFiles.get(root) || [];
+        dependencies.set(root, new Set([...dependencies.get(root), ...reached]));
+        this.logger.warn(`Waiting for changes to ${relative(root)}`);
       }
+    };
 
-      if (pattern) {
-        const glob = require('glob');
-        const matchedFiles = glob.sync(pattern, { cwd: process.cwd(), absolute: true });
-        matchedFiles.forEach(file => files.add(path.normalize(file)));
+    const isOwnWrite = file => {
+      if (!ownWrites.has(file) || !fs.existsSync(file)) return false;
+      return this.hashContent(fs.readFileSync(file, 'utf8')) === ownWrites.get(file);
+    };
+
+    // Kendi yazımlarımız, süren birleştirme bittikten sonra ayıklanır
+    const flush = async () => {
+      const files = [...changed].filter(file => !isOwnWrite(file));
+      changed.clear();
+
+      const affected = roots.filter(root => files.some(file => root === file || dependencies.get(root).has(file)));
+      for (const root of affected) {
+        // Yerinde birleştirilmiş kök birleştirilmiş çıktıyı tutar; ona yapılan düzenlemeler kaynaktan yeniden üretilir
+        if (!outputFile && files.includes(root) && fs.existsSync(root) && this.readMergeSource(root).fromBackup) {
+          this.logger.warn(`${relative(root)} holds the merged output, edits to it are replaced. ` +
+              'Edit the included files, or stop watching and use --restore to edit the root file');
+        }
+        this.logger.info(`Change detected, merging ${relative(root)}`);
+        await mergeRoot(root);
       }
+      if (affected.length) {
+        updateWatchers();
+      }
+    };
 
-      const fileArray = Array.from(files);
+    const onChange = file => {
+      changed.add(file);
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        queue = queue.then(flush);
+      }, debounce);
+    };
+
+    // Düzenleyiciler dosyayı yeniden adlandırarak kaydedebildiği için dosyalar yerine dizinleri izlenir
+    const updateWatchers = () => {
+      watched = new Set(roots.flatMap(root => [root, ...dependencies.get(root)]));
+      const directories = new Set([...watched].map(file => path.dirname(file)));
+
+      for (const [directory, watcher] of watchers) {
+        if (!directories.has(directory)) {
+          watcher.close();
+          watchers.delete(directory);
+        }
+      }
+      for (const directory of directories) {
+        if (watchers.has(directory) || !fs.existsSync(directory)) continue;
+        const watcher = fs.watch(directory, (event, name) => {
+          const files = name ?
+              [path.join(directory, name.toString())] :
+              [...watched].filter(file => path.dirname(file) === directory);
+          files.filter(file => watched.has(file)).forEach(onChange);
+        });
+        watcher.on('error', error => {
+          this.logger.debug(`Stopped watching ${relative(directory)}: ${error.message}`);
+          watcher.close();
+          watchers.delete(directory);
+        });
+        watchers.set(directory, watcher);
+      }
+
+      this.logger.debug(`Watching ${watched.size} file${watched.size === 1 ? '' : 's'}`);
+    };
+
+    for (const root of roots) {
+      await mergeRoot(root, true);
+    }
+    updateWatchers();
+    this.logger.info(`Watching ${roots.map(relative).join(', ')} and ${watched.size - roots.length} included file${watched.size - roots.length === 1 ? '' : 's'} for changes`);
+
+    return {
+      roots,
+      getWatchedFiles: () => [...watched],
+      close: async () => {
+        clearTimeout(timer);
+        watchers.forEach(watcher => watcher.close());
+        watchers.clear();
+        await queue;
+      }
+    };
+  }
+
+  collectFiles(directory = null, pattern = null) {
+    const files = new Set();
+
+    if (directory) {
+      const normalizedDir = path.normalize(directory);
+      if (fs.existsSync(normalizedDir)) {
+        if (fs.statSync(normalizedDir).isDirectory()) {
+          // Dizin ise içindeki yaml dosyalarını bul
+          const dirFiles = this.findYamlFiles(normalizedDir);
+          dirFiles.forEach(file => files.add(file));
+        } else {
+          // Tek dosya ise direkt ekle
+          files.add(normalizedDir);
+        }
+      }
+    }
+
+    if (pattern) {
+      const matchedFiles = expandGlob(pattern, process.cwd());
+      matchedFiles.forEach(file => files.add(path.normalize(file)));
+    }
+
+    return Array.from(files);
+  }
+
+  async bulkProcess(directory = null, pattern = null) {
+    const results = [];
+
+    try {
+      const fileArray = this.collectFiles(directory, pattern);
       if (fileArray.length === 0) {
         this.logger.warn('No YAML files found for processing');
         return [];
@@ -595,18 +3783,13 @@ class YamlMerger {
     try {
       if (directory) {
         if (fs.statSync(directory).isDirectory()) {
-          // Dizin ise backup dosyalarını kontrol et
-          if (fs.existsSync(this.backupDir)) {
-            const backupFiles = fs.readdirSync(this.backupDir)
-                .filter(file => file.endsWith('-backup.yml') || file.endsWith('-backup.yaml'));
-
-            backupFiles.forEach(backupFile => {
-              const originalName = backupFile.replace('-backup', '');
-              const filePath = path.join(directory, originalName);
-              if (fs.existsSync(filePath)) {
-                files.add(filePath);
-              }
-            });
+          // Dizin ise altındaki dosyaların yedekleri geri yüklenir
+          for (const backup of this.listBackups()) {
+            const filePath = backup.status === 'legacy' ? path.join(directory, backup.file) : backup.file;
+            const inside = !path.relative(path.resolve(directory), path.resolve(filePath)).startsWith('..');
+            if (inside && fs.existsSync(filePath)) {
+              files.add(filePath);
+            }
           }
         } else {
           // Tek dosya ise direkt ekle
@@ -615,9 +3798,8 @@ class YamlMerger {
       }
 
       if (pattern) {
-        const glob = require('glob');
-        const matchedFiles = glob.sync(pattern);
-        matchedFiles.forEach(file => files.add(file));
+        const matchedFiles = expandGlob(pattern, process.cwd());
+        matchedFiles.forEach(file => files.add(path.relative(process.cwd(), file)));
       }
 
       const fileArray = Array.from(files);
@@ -657,44 +3839,209 @@ class YamlMerger {
 
 }
 
+// Yedek, kaynak haritası veya çıktı dosyası yazmadan birleştirir; dosyalar options.fileSystem üzerinden okunur
+async function mergeDocument(entry, options = {}) {
+  const { content = null, ...mergerOptions } = options;
+  const merger = new YamlMerger({ config: false, logLevel: 'warn', ...mergerOptions });
+  const document = await merger.mergeInMemory(entry, content);
+  merger.checkDuplicateKeys(document);
+  merger.validateDocument(document);
+  return document;
+}
+
+async function mergeToString(entry, options = {}) {
+  return (await mergeDocument(entry, options)).toString();
+}
+
+async function mergeToObject(entry, options = {}) {
+  const document = await mergeDocument(entry, options);
+  return yaml.load(document.toString(), { schema: document.schema });
+}
+
+// --param key=value seçeneklerini nesneye çevirir
+function parseParams(values) {
+  const params = {};
+  for (const value of [].concat(values || [])) {
+    const separator = value.indexOf('=');
+    if (separator <= 0) {
+      throw new Error(`Invalid --param '${value}', expected key=value`);
+    }
+    params[value.slice(0, separator).trim()] = value.slice(separator + 1);
+  }
+  return params;
+}
+
 async function main() {
   const argv = parseArgs(process.argv.slice(2), {
-    boolean: ['restore', 'bulk'],
-    string: ['input', 'log-level', 'pattern'],
+    boolean: [
+      'restore', 'bulk', 'semantic', 'strict', 'source-map', 'stdout', 'dry-run', 'check', 'graph',
+      'list-backups', 'prune-backups', 'force', 'validate', 'function-files', 'watch'
+    ],
+    string: [
+      'input', 'output', 'log-level', 'pattern', 'trace', 'format', 'max-depth', 'stage', 'region', 'param', 'config',
+      'split', 'out-dir'
+    ],
     alias: {
       i: 'input',
+      o: 'output',
       l: 'log-level',
       b: 'bulk',
       p: 'pattern'
     },
     default: {
-      'log-level': 'info',
       restore: false,
-      bulk: false
+      bulk: false,
+      semantic: false,
+      strict: false,
+      'source-map': false,
+      stdout: false,
+      'dry-run': false,
+      check: false,
+      graph: false,
+      'list-backups': false,
+      'prune-backups': false,
+      force: false,
+      validate: false,
+      'function-files': false,
+      watch: false,
+      format: 'tree'
     }
   });
 
-  const merger = new YamlMerger({ logLevel: argv['log-level'] });
+  const preview = argv.stdout || argv['dry-run'] || argv.check || argv.graph;
 
   try {
+    // .serverlessmergerc'deki maxDepth ile aynı kural: negatif olmayan tam sayı
+    const maxDepth = argv['max-depth'];
+    if (maxDepth !== undefined && !/^\d+$/.test(String(maxDepth).trim())) {
+      throw new Error(`Invalid --max-depth '${maxDepth}', expected a non-negative integer`);
+    }
+
+    // Verilmeyen bayraklar undefined kalır, böylece .serverlessmergerc değerleri geçerli olur
+    const merger = new YamlMerger({
+      config: argv.config === false ? false : argv.config || undefined,
+      // Önizleme modlarında loglar çıktıya karışmasın diye stderr'e yazılır
+      logWriter: preview ? console.error : undefined,
+      logLevel: argv['log-level'] || undefined,
+      mode: argv.semantic ? 'semantic' : undefined,
+      strict: argv.strict || undefined,
+      sourceMap: argv['source-map'] || undefined,
+      force: argv.force || undefined,
+      validate: argv.validate || undefined,
+      maxDepth: maxDepth !== undefined ? parseInt(maxDepth, 10) : undefined,
+      stage: argv.stage,
+      region: argv.region,
+      params: parseParams(argv.param)
+    });
+
     // input parametrelerini array'e çevir
     let inputs = [];
     if (Array.isArray(argv.input)) {
       inputs = argv.input;
     } else if (argv.input) {
       inputs = [argv.input];
+    } else if (merger.options.inputs) {
+      inputs = merger.options.inputs;
+    }
+    const pattern = argv.pattern || merger.options.pattern;
+
+    if (argv.output && (inputs.length > 1 || argv.bulk)) {
+      throw new Error('--output can only be used with a single input file');
+    }
+
+    if (preview && argv.restore || (argv.stdout || argv['dry-run']) && argv.bulk) {
+      throw new Error('--stdout and --dry-run cannot be combined with --bulk or --restore');
+    }
+
+    if (argv.watch && (preview || argv.bulk || argv.restore || argv.split !== undefined)) {
+      throw new Error('--watch cannot be combined with --bulk, --restore, --split or the preview options');
     }
 
-    if (argv.bulk) {
+    if (argv['list-backups']) {
+      const backups = merger.listBackups();
+      if (!backups.length) {
+        merger.logger.info('No backups found');
+      }
+      for (const backup of backups) {
+        const merged = backup.mergedAt ? `, merged ${backup.mergedAt}` : '';
+        console.log(`${backup.file}: ${backup.status} (backup ${backup.backup}, created ${backup.createdAt}${merged})`);
+        if (backup.status !== 'ok') {
+          console.log(`  ${merger.describeBackupStatus(backup.status)}`);
+        }
+      }
+    } else if (argv['prune-backups']) {
+      const pruned = merger.pruneBackups();
+      merger.logger.info(`Pruned ${pruned.length} backup${pruned.length === 1 ? '' : 's'}`);
+    } else if (argv.split !== undefined) {
+      await merger.split(argv.split || inputs[0] || null, {
+        outDir: argv['out-dir'],
+        functionFiles: argv['function-files'],
+        dryRun: argv['dry-run']
+      });
+    } else if (argv.watch) {
+      await merger.watch(inputs, { outputFile: argv.output });
+    } else if (argv.graph) {
+      const graph = await merger.buildIncludeGraph(inputs, pattern);
+      process.stdout.write(merger.formatIncludeGraph(graph, argv.format));
+    } else if (argv.check) {
+      let results = [];
+      if (argv.bulk) {
+        for (const input of inputs.length ? inputs : [null]) {
+          results.push(...await merger.bulkCheck(input, pattern));
+        }
+      } else {
+        for (const input of inputs.length ? inputs : [null]) {
+          results.push(await merger.check(input, argv.output));
+        }
+      }
+
+      for (const result of results) {
+        console.log(merger.describeCheckResult(result));
+        if (result.diff) {
+          process.stdout.write(result.diff);
+        }
+      }
+
+      if (results.some(result => !result.success)) {
+        process.exitCode = 1;
+      }
+    } else if (preview) {
+      for (const input of inputs.length ? inputs : [null]) {
+        if (argv['dry-run']) {
+          const diff = await merger.diff(input, argv.output);
+          diff ? process.stdout.write(diff) : merger.logger.info('No changes');
+        } else {
+          const { merged } = await merger.render(input, argv.output);
+          process.stdout.write(merged);
+        }
+      }
+    } else if (argv.trace) {
+      for (const input of inputs.length ? inputs : [null]) {
+        const origin = await merger.trace(input, argv.trace);
+        if (!origin) {
+          console.log(`Line ${argv.trace} has no known source`);
+          continue;
+        }
+        const relative = file => path.relative(process.cwd(), file) || file;
+        console.log(`${relative(origin.file)}:${origin.line}`);
+        if (origin.text !== null) {
+          console.log(`  ${origin.text.trim()}`);
+        }
+        if (origin.chain.length > 1) {
+          console.log(`  included via ${origin.chain.map(relative).join(' -> ')}`);
+        }
+      }
+    } else if (argv.bulk) {
+      // Input verilmezse yalnızca pattern (komut satırından veya .serverlessmergerc'den) kullanılır
       if (argv.restore) {
         // Her input için bulk restore yap
-        for (const input of inputs) {
-          await merger.bulkRestore(input, argv.pattern);
+        for (const input of inputs.length ? inputs : [null]) {
+          await merger.bulkRestore(input, pattern);
         }
       } else {
         // Her input için bulk process yap
-        for (const input of inputs) {
-          await merger.bulkProcess(input, argv.pattern);
+        for (const input of inputs.length ? inputs : [null]) {
+          await merger.bulkProcess(input, pattern);
         }
       }
     } else {
@@ -705,12 +4052,12 @@ async function main() {
         }
       } else {
         for (const input of inputs) {
-          await merger.process(input);
+          await merger.process(input, argv.output);
         }
       }
     }
   } catch (error) {
-    console.error(error.message);
+    console.error(error.location ? `${error.location}: ${error.message}` : error.message);
     process.exit(1);
   }
 }
@@ -719,4 +4066,23 @@ if (require.main === module) {
   main();
 }
 
-module.exports = { YamlMerger, YamlDocument, YamlLine, YamlMergeError, Logger };
\ No newline at end of file
+module.exports = {
+  YamlMerger,
+  YamlDocument,
+  YamlLine,
+  YamlMergeError,
+  Logger,
+  NodeFileSystem,
+  MemoryFileSystem,
+  mergeToString,
+  mergeToObject,
+  createUnifiedDiff,
+  expandGlob,
+  parseParams
+};
+
+// plugin.js bu modülü kullandığı için döngüsel require'dan kaçınmak adına tembel yüklenir
+Object.defineProperty(module.exports, 'ServerlessMergePlugin', {
+  enumerable: true,
+  get: () => require('./plugin')
+});
\ No newline at end of file
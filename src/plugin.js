@@ -0,0 +1,148 @@
+const path = require('path');
+const yaml = require('js-yaml');
+const { YamlMerger, Logger, parseParams } = require('./merge');
+
+class ServerlessMergePlugin {
+  constructor(serverless, options = {}, { log, writeText } = {}) {
+    this.serverless = serverless;
+    this.options = options;
+    this.log = log || null;
+    this.writeText = writeText || (text => process.stdout.write(`${text}\n`));
+    this.applied = false;
+
+    this.commands = {
+      merge: {
+        usage: 'Inspect the in-memory merge of included YAML files',
+        commands: {
+          print: {
+            usage: 'Print the merged configuration without writing it to disk',
+            lifecycleEvents: ['print']
+          },
+          check: {
+            usage: 'Check that every include resolves and the merge is reproducible',
+            lifecycleEvents: ['check']
+          }
+        }
+      }
+    };
+
+    this.hooks = {
+      'before:package:initialize': () => this.apply(),
+      'merge:print:print': () => this.print(),
+      'merge:check:check': () => this.check()
+    };
+  }
+
+  // Serverless eklentileri yüklerken çağrılır; yapılandırma bu aşamada hâlâ genişletilebilir
+  async asyncInit() {
+    await this.apply();
+  }
+
+  getConfigPath() {
+    const serviceDir = this.serverless.serviceDir || this.serverless.config.servicePath;
+    const configPath = path.resolve(serviceDir, this.serverless.configurationFilename || 'serverless.yml');
+    return path.relative(process.cwd(), configPath) || configPath;
+  }
+
+  createMerger() {
+    const write = (prefix, ...args) => {
+      const message = args.join(' ');
+      if (!this.log) {
+        console.log(prefix, message);
+      } else if (prefix === '[ERROR]') {
+        this.log.error(message);
+      } else if (prefix === '[WARN]') {
+        this.log.warning(message);
+      } else {
+        this.log.verbose(message);
+      }
+    };
+
+    return new YamlMerger({
+      logger: new Logger(this.options.verbose ? 'debug' : 'info', write),
+      stage: this.options.stage,
+      region: this.options.region,
+      params: parseParams(this.options.param)
+    });
+  }
+
+  async render() {
+    const merger = this.createMerger();
+    const result = await merger.render(this.getConfigPath());
+    return { merger, ...result };
+  }
+
+  async apply() {
+    if (this.applied) return;
+
+    const { merger, merged, inputFile } = await this.render();
+    // CloudFormation etiketleri Serverless'in kullandığı düz Ref / Fn:: nesnelerine çevrilir
+    const config = JSON.parse(JSON.stringify(yaml.load(merged, { schema: merger.options.schema }) || {}));
+
+    if (this.serverless.isConfigurationExtendable && typeof this.serverless.extendConfiguration === 'function') {
+      this.extendConfiguration(config);
+    } else {
+      this.replaceConfiguration(config);
+    }
+
+    this.applied = true;
+    merger.logger.debug(`Merged ${path.relative(process.cwd(), inputFile) || inputFile} in memory`);
+  }
+
+  // Birleşik ağaç Serverless'e verilir; değişkenleri eklentilerden sonraki çözümleme aşamasında çözülür
+  extendConfiguration(config) {
+    const input = this.serverless.configurationInput;
+    const variablesMeta = this.serverless.variablesMeta;
+
+    for (const key of Object.keys(input)) {
+      if (key in config) continue;
+      delete input[key];
+      if (!variablesMeta) continue;
+      for (const metaKey of Array.from(variablesMeta.keys())) {
+        if (metaKey === key || metaKey.startsWith(`${key}\0`)) {
+          variablesMeta.delete(metaKey);
+        }
+      }
+    }
+
+    for (const [key, value] of Object.entries(config)) {
+      this.serverless.extendConfiguration([key], value);
+    }
+  }
+
+  // Yapılandırması genişletilemeyen eski sürümler için içerik yerinde değiştirilir
+  replaceConfiguration(config) {
+    const input = this.serverless.configurationInput;
+    if (input) {
+      Object.keys(input).forEach(key => delete input[key]);
+      Object.assign(input, config);
+    }
+
+    const service = this.serverless.service;
+    if (service && typeof service.reloadServiceFileParam === 'function') {
+      service.reloadServiceFileParam();
+    } else if (service && typeof service.update === 'function') {
+      service.update(config);
+    }
+  }
+
+  async print() {
+    const { merged } = await this.render();
+    this.writeText(merged.replace(/\n$/, ''));
+  }
+
+  async check() {
+    const merger = this.createMerger();
+    const result = await merger.check(this.getConfigPath());
+    const message = merger.describeCheckResult(result);
+
+    if (!result.success) {
+      const ServerlessError = (this.serverless.classes && this.serverless.classes.Error) || Error;
+      throw new ServerlessError(result.diff ? `${message}\n${result.diff}` : message);
+    }
+
+    this.log ? this.log.success(message) : console.log(message);
+  }
+}
+
+module.exports = ServerlessMergePlugin;
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { merge } = require('./helpers');
+
+test('an alias can use an anchor from an earlier include', async () => {
+  const merged = await merge({
+    'serverless.yml': 'custom:\n  merge: ${file(./shared.yml)}\nfunctions:\n  api:\n    environment: *env\n',
+    'shared.yml': 'defaults: &env\n  A: 1\n'
+  });
+  assert.strictEqual(merged, 'custom:\n  defaults: &env\n    A: 1\nfunctions:\n  api:\n    environment: *env\n');
+});
+
+test('an anchor name defined twice is renamed together with its aliases', async () => {
+  const merged = await merge({
+    'serverless.yml': 'custom:\n  base: &env\n    A: 0\n  merge: ${file(./shared.yml)}\n  again: *env\n',
+    'shared.yml': 'defaults: &env\n  A: 1\nuse: *env\n'
+  });
+  assert.strictEqual(merged, 'custom:\n  base: &env\n    A: 0\n  defaults: &env_2\n    A: 1\n  use: *env_2\n  again: *env\n');
+});
+
+test('an alias without an anchor fails with its line', async () => {
+  await assert.rejects(merge({ 'serverless.yml': 'custom:\n  x: *missing\n' }), error => {
+    assert.strictEqual(error.line, 2);
+    assert.match(error.message, /Unresolved alias '\*missing'/);
+    return true;
+  });
+});
+
+test('semantic mode rejects aliases across files', async () => {
+  await assert.rejects(merge({
+    'serverless.yml': 'custom:\n  merge: ${file(./shared.yml)}\nfunctions:\n  api:\n    environment: *env\n',
+    'shared.yml': 'defaults: &env\n  A: 1\n'
+  }, { mode: 'semantic' }), /only supported in text mode/);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { mergeToString, mergeToObject, MemoryFileSystem } = require('../src/merge');
+const { merge, inTempDir } = require('./helpers');
+
+const FIXTURE = path.join(__dirname, 'serverless.yml');
+
+for (const mode of ['text', 'semantic']) {
+  test(`${mode}: the test service merges all of its sub files`, async () => {
+    const config = await mergeToObject(FIXTURE, { mode, logLevel: 'error' });
+
+    assert.strictEqual(config.service, 'test-service');
+    assert.deepStrictEqual(config.provider, {
+      name: 'aws',
+      runtime: 'nodejs18.x',
+      region: 'eu-west-1',
+      environment: { STAGE: "${opt:stage, 'dev'}" }
+    });
+    assert.deepStrictEqual(Object.keys(config.functions), ['auth', 'api']);
+    assert.strictEqual(config.functions.api.events[0].http.path, '/api');
+    assert.deepStrictEqual(config.custom, {
+      tableName: 'users-table',
+      apiKey: 'default-key',
+      'stage-var': 'dev',
+      customData: 'data'
+    });
+    assert.deepStrictEqual(Object.keys(config.resources.Resources), ['UsersTable']);
+    assert.deepStrictEqual(config.resources.Outputs, { TableName: { Value: '${self:custom.tableName}' } });
+  });
+}
+
+test('merging a file on disk writes nothing', async t => {
+  const dir = inTempDir(t, {
+    'serverless.yml': 'provider:\n  merge: ${file(./provider.yml)}\n',
+    'provider.yml': 'name: aws\n'
+  });
+
+  assert.strictEqual(await mergeToString('serverless.yml'), 'provider:\n  name: aws\n');
+  assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['provider.yml', 'serverless.yml']);
+  assert.strictEqual(fs.readFileSync('serverless.yml', 'utf8'), 'provider:\n  merge: ${file(./provider.yml)}\n');
+});
+
+test('content is merged instead of the entry file', async () => {
+  const merged = await mergeToString('serverless.yml', {
+    content: 'custom:\n  merge: ${file(./custom.yml)}\n',
+    fileSystem: new MemoryFileSystem({ 'custom.yml': 'size: 1\n' }, '/project')
+  });
+  assert.strictEqual(merged, 'custom:\n  size: 1\n');
+});
+
+test('includes resolve relative to the including file in memory', async () => {
+  const merged = await merge({
+    'serverless.yml': 'custom:\n  merge: ${file(./config/custom.yml)}\n',
+    'config/custom.yml': 'nested:\n  merge: ${file(./nested.yml)}\n',
+    'config/nested.yml': 'deep: true\n'
+  });
+  assert.strictEqual(merged, 'custom:\n  nested:\n    deep: true\n');
+});
+
+test('a missing include fails with the including file', async () => {
+  await assert.rejects(merge({ 'serverless.yml': 'custom:\n  merge: ${file(./missing.yml)}\n' }), error => {
+    assert.strictEqual(path.basename(error.filePath), 'serverless.yml');
+    assert.strictEqual(error.line, 2);
+    return true;
+  });
+});
+
+test('JavaScript includes need a file system that can load modules', async () => {
+  await assert.rejects(merge({
+    'serverless.yml': 'functions:\n  merge: ${file(./functions.js)}\n',
+    'functions.js': 'module.exports = {};\n'
+  }), /JavaScript includes are not supported by this file system/);
+});
+
+test('MemoryFileSystem lists directories and resolves against its cwd', () => {
+  const fileSystem = new MemoryFileSystem({ 'a/one.yml': '', 'a/b/two.yml': '', 'three.yml': '' }, '/project');
+
+  assert.deepStrictEqual(fileSystem.readdir('a'), ['b', 'one.yml']);
+  assert.ok(fileSystem.isDirectory('a/b'));
+  assert.ok(fileSystem.exists('/project/three.yml'));
+  assert.ok(!fileSystem.exists('four.yml'));
+  assert.throws(() => fileSystem.readFile('four.yml'), error => error.code === 'ENOENT');
+});
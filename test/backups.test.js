@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { inTempDir, createMerger, runCli, read } = require('./helpers');
+
+const STACK = 'service: api\nprovider:\n  merge: ${file(./provider.yml)}\n';
+const FILES = {
+  'stacks/api/serverless.yml': STACK,
+  'stacks/api/provider.yml': 'name: aws\n',
+  'stacks/auth/serverless.yml': STACK.replace('api', 'auth'),
+  'stacks/auth/provider.yml': 'name: aws\n'
+};
+
+test('files with the same name get separate backups and restore their own original', async t => {
+  inTempDir(t, FILES);
+  const merger = createMerger();
+  await merger.process('stacks/api/serverless.yml');
+  await merger.process('stacks/auth/serverless.yml');
+
+  assert.strictEqual(merger.getBackupStorePath('stacks/api/serverless.yml'),
+      path.join('.mergebackup', 'stacks', 'api', 'serverless-backup.yml'));
+
+  await merger.restore('stacks/api/serverless.yml');
+  await merger.restore('stacks/auth/serverless.yml');
+  assert.strictEqual(read('stacks/api/serverless.yml'), FILES['stacks/api/serverless.yml']);
+  assert.strictEqual(read('stacks/auth/serverless.yml'), FILES['stacks/auth/serverless.yml']);
+  assert.ok(!fs.existsSync('.mergebackup'));
+});
+
+test('the manifest records when and what was merged', async t => {
+  inTempDir(t, FILES);
+  const merger = createMerger();
+  await merger.process('stacks/api/serverless.yml');
+
+  const { backups } = JSON.parse(read(path.join('.mergebackup', 'manifest.json')));
+  const entry = backups['stacks/api/serverless.yml'];
+  assert.strictEqual(entry.backup, 'stacks/api/serverless-backup.yml');
+  assert.strictEqual(entry.originalHash, merger.hashContent(STACK));
+  assert.strictEqual(entry.mergedHash, merger.hashContent(read('stacks/api/serverless.yml')));
+  assert.ok(!Number.isNaN(Date.parse(entry.createdAt)) && !Number.isNaN(Date.parse(entry.mergedAt)));
+});
+
+test('restore refuses to discard edits made after merging unless forced', async t => {
+  inTempDir(t, FILES);
+  const merger = createMerger();
+  await merger.process('stacks/api/serverless.yml');
+  fs.appendFileSync('stacks/api/serverless.yml', 'custom:\n  edited: true\n');
+
+  await assert.rejects(merger.restore('stacks/api/serverless.yml'),
+      /Refusing to restore stacks\/api\/serverless\.yml: the merged file was edited after merging, restoring would discard those edits\. Use --force to restore anyway/);
+  assert.match(read('stacks/api/serverless.yml'), /edited: true/);
+
+  assert.strictEqual(await merger.restore('stacks/api/serverless.yml', { force: true }), true);
+  assert.strictEqual(read('stacks/api/serverless.yml'), STACK);
+});
+
+test('restore refuses a backup that was changed after it was written', async t => {
+  inTempDir(t, FILES);
+  const merger = createMerger();
+  await merger.process('stacks/api/serverless.yml');
+  fs.appendFileSync(merger.getBackupStorePath('stacks/api/serverless.yml'), 'custom: {}\n');
+
+  await assert.rejects(merger.restore('stacks/api/serverless.yml'), /the backup was changed after it was written/);
+});
+
+test('--list-backups shows the state of every backup', async t => {
+  inTempDir(t, FILES);
+  const merger = createMerger();
+  await merger.process('stacks/api/serverless.yml');
+  await merger.process('stacks/auth/serverless.yml');
+  fs.appendFileSync('stacks/auth/serverless.yml', 'custom: {}\n');
+
+  assert.deepStrictEqual(merger.listBackups().map(backup => [backup.file, backup.status]), [
+    [path.join('stacks', 'api', 'serverless.yml'), 'ok'],
+    [path.join('stacks', 'auth', 'serverless.yml'), 'modified']
+  ]);
+
+  const { stdout } = await runCli(['--list-backups']);
+  assert.match(stdout, /^stacks\/auth\/serverless\.yml: modified \(backup .*, created .*, merged .*\)\n {2}the merged file was edited after merging/m);
+});
+
+test('--prune-backups drops backups of deleted or already restored files', async t => {
+  inTempDir(t, FILES);
+  const merger = createMerger();
+  await merger.process('stacks/api/serverless.yml');
+  await merger.process('stacks/auth/serverless.yml');
+  fs.unlinkSync('stacks/api/serverless.yml');
+  fs.writeFileSync('stacks/auth/serverless.yml', FILES['stacks/auth/serverless.yml']);
+
+  assert.deepStrictEqual(merger.pruneBackups().map(backup => [backup.file, backup.status]), [
+    [path.join('stacks', 'api', 'serverless.yml'), 'missing'],
+    [path.join('stacks', 'auth', 'serverless.yml'), 'restored']
+  ]);
+  assert.deepStrictEqual(merger.listBackups(), []);
+  assert.ok(!fs.existsSync('.mergebackup'));
+});
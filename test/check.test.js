@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { inTempDir, createMerger, runCli, read } = require('./helpers');
+
+const FILES = {
+  'serverless.yml': 'service: orders\nprovider:\n  merge: ${file(./provider.yml)}\n',
+  'provider.yml': 'name: aws\n'
+};
+const MERGED = 'service: orders\nprovider:\n  name: aws\n';
+
+test('an up to date output file passes the check', async t => {
+  inTempDir(t, { ...FILES, 'merged.yml': MERGED });
+  const result = await createMerger().check('serverless.yml', 'merged.yml');
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.diff, '');
+  assert.strictEqual(createMerger().describeCheckResult(result), 'serverless.yml: up to date');
+});
+
+test('a stale output file fails the check with a diff', async t => {
+  inTempDir(t, { ...FILES, 'merged.yml': MERGED.replace('aws', 'azure') });
+  const merger = createMerger();
+  const result = await merger.check('serverless.yml', 'merged.yml');
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.upToDate, false);
+  assert.match(result.diff, /^-  name: azure\n\+  name: aws$/m);
+  assert.strictEqual(merger.describeCheckResult(result), 'serverless.yml: merged.yml is out of date (+1 -1 lines)');
+  assert.strictEqual(read('merged.yml'), MERGED.replace('aws', 'azure'));
+});
+
+test('a missing output file fails the check', async t => {
+  inTempDir(t, FILES);
+  const merger = createMerger();
+  const result = await merger.check('serverless.yml', 'merged.yml');
+
+  assert.strictEqual(result.missing, true);
+  assert.strictEqual(merger.describeCheckResult(result), 'serverless.yml: output file merged.yml does not exist');
+});
+
+test('an in-place merged file is checked against its own merge directives', async t => {
+  inTempDir(t, FILES);
+  const merger = createMerger();
+  await merger.process('serverless.yml');
+
+  assert.strictEqual((await merger.check('serverless.yml')).success, true);
+
+  fs.writeFileSync('provider.yml', 'name: azure\n');
+  const result = await merger.check('serverless.yml');
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(merger.describeCheckResult(result), 'serverless.yml: merged output is out of date (+1 -1 lines)');
+});
+
+test('--check --bulk verifies every stack and exits non-zero when one is stale', async t => {
+  inTempDir(t, {
+    'stacks/a.yml': 'provider:\n  merge: ${file(./shared/aws.yml)}\n',
+    'stacks/b.yml': 'provider:\n  merge: ${file(./shared/region.yml)}\n',
+    'stacks/shared/aws.yml': 'name: aws\n',
+    'stacks/shared/region.yml': 'region: eu-west-1\n'
+  });
+  await createMerger().bulkProcess('stacks');
+  fs.writeFileSync('stacks/shared/region.yml', 'region: us-east-1\n');
+
+  const { code, stdout } = await runCli(['--check', '--bulk', '-i', 'stacks']);
+  assert.strictEqual(code, 1);
+  assert.match(stdout, /^stacks\/a\.yml: up to date$/m);
+  assert.match(stdout, /^stacks\/b\.yml: merged output is out of date \(\+1 -1 lines\)$/m);
+  assert.match(stdout, /^\+  region: us-east-1$/m);
+});
+
+test('a merge that fails is reported instead of aborting the bulk check', async t => {
+  inTempDir(t, {
+    'stacks/a.yml': 'provider:\n  merge: ${file(./missing.yml)}\n'
+  });
+  const merger = createMerger();
+  const [result] = await merger.bulkCheck('stacks');
+
+  assert.strictEqual(result.success, false);
+  assert.match(merger.describeCheckResult(result), /merge failed: .*missing\.yml/);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { merge } = require('./helpers');
+
+const ALARMS = 'Alarm:\n  Type: AWS::CloudWatch::Alarm\n';
+
+function mergeIf(condition, options) {
+  return merge({
+    'serverless.yml': `resources:\n  Resources:\n    Table:\n      Type: AWS::DynamoDB::Table\n` +
+        `    merge:if(${condition}): \${file(./alarms.yml)}\n`,
+    'alarms.yml': ALARMS
+  }, options);
+}
+
+const WITH_ALARM = 'resources:\n  Resources:\n    Table:\n      Type: AWS::DynamoDB::Table\n' +
+    '    Alarm:\n      Type: AWS::CloudWatch::Alarm\n';
+const WITHOUT_ALARM = 'resources:\n  Resources:\n    Table:\n      Type: AWS::DynamoDB::Table\n';
+
+test('conditional directives follow the stage and fall back to the else file', async () => {
+  const files = {
+    'serverless.yml': 'custom:\n  merge:if(stage==prod): ${file(./prod.yml)} else ${file(./dev.yml)}\n',
+    'prod.yml': 'size: large\n',
+    'dev.yml': 'size: small\n'
+  };
+  assert.strictEqual(await merge(files, { stage: 'prod' }), 'custom:\n  size: large\n');
+  assert.strictEqual(await merge(files, { stage: 'dev' }), 'custom:\n  size: small\n');
+});
+
+test('a false condition leaves no trace of the directive', async () => {
+  assert.strictEqual(await mergeIf('stage==prod', { stage: 'prod' }), WITH_ALARM);
+  assert.strictEqual(await mergeIf('stage==prod', { stage: 'dev' }), WITHOUT_ALARM);
+});
+
+test('conditions support lists, negation and params', async () => {
+  assert.strictEqual(await mergeIf('stage in [prod, staging]', { stage: 'staging' }), WITH_ALARM);
+  assert.strictEqual(await mergeIf('stage in [prod, staging]', { stage: 'dev' }), WITHOUT_ALARM);
+  assert.strictEqual(await mergeIf('region!=us-east-1', { region: 'us-east-1' }), WITHOUT_ALARM);
+  assert.strictEqual(await mergeIf('!region==us-east-1', { region: 'eu-west-1' }), WITH_ALARM);
+  assert.strictEqual(await mergeIf('tier==gold', { params: { tier: 'gold' } }), WITH_ALARM);
+});
+
+test('the file of a false condition is never read', async () => {
+  const merged = await merge({
+    'serverless.yml': 'service: orders\ncustom:\n  merge:if(stage==prod): ${file(./missing.yml)}\n'
+  }, { stage: 'dev' });
+  assert.strictEqual(merged, 'service: orders\ncustom:\n');
+});
+
+test('a malformed condition fails on the directive line', async () => {
+  await assert.rejects(mergeIf('stage=prod', { stage: 'prod' }), error => {
+    assert.strictEqual(error.message, "Invalid condition 'if(stage=prod)': unexpected '='");
+    assert.strictEqual(error.line, 5);
+    return true;
+  });
+});
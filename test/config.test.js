@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { YamlMerger } = require('../src/merge');
+const { inTempDir, silentLogger, runCli } = require('./helpers');
+
+const RC = [
+  'searchPaths: [shared]',
+  'backupDir: .cache/backups',
+  'configFiles: [stack.yml]',
+  'pattern: "stacks/*.yml"',
+  'params:',
+  '  tier: basic',
+  'stages:',
+  '  prod:',
+  '    params:',
+  '      tier: premium',
+  ''
+].join('\n');
+
+const FILES = {
+  '.serverlessmergerc': RC,
+  'stack.yml': 'custom:\n  merge: ${file(./tier-${param:tier}.yml)}\n',
+  'stacks/api.yml': 'custom:\n  merge: ${file(./tier-${param:tier}.yml)}\n',
+  'shared/tier-basic.yml': 'size: small\n',
+  'shared/tier-premium.yml': 'size: large\n',
+  'sub/deeper/.keep': ''
+};
+
+test('the config is found upward from the current directory', async t => {
+  const dir = inTempDir(t, FILES);
+  process.chdir(path.join(dir, 'sub', 'deeper'));
+
+  const { merged } = await new YamlMerger({ logger: silentLogger() }).render(path.join(dir, 'stack.yml'));
+  assert.strictEqual(merged, 'custom:\n  size: small\n');
+});
+
+test('stage parameters override defaults and --param overrides both', async t => {
+  inTempDir(t, FILES);
+
+  assert.strictEqual((await runCli(['--stdout', '--stage', 'prod'])).stdout, 'custom:\n  size: large\n');
+  assert.strictEqual((await runCli(['--stdout', '--stage', 'prod', '--param', 'tier=basic'])).stdout, 'custom:\n  size: small\n');
+});
+
+test('bulk runs use the configured pattern and backup directory', async t => {
+  inTempDir(t, FILES);
+  const { code } = await runCli(['--bulk']);
+
+  assert.strictEqual(code, 0);
+  assert.strictEqual(fs.readFileSync('stacks/api.yml', 'utf8'), 'custom:\n  size: small\n');
+  assert.ok(fs.existsSync(path.join('.cache', 'backups', 'manifest.json')));
+  assert.ok(!fs.existsSync('.mergebackup'));
+  assert.strictEqual(fs.readFileSync('stack.yml', 'utf8'), FILES['stack.yml']);
+});
+
+test('a serverlessMerge key in package.json is used when there is no rc file', async t => {
+  const { '.serverlessmergerc': rc, ...files } = FILES;
+  inTempDir(t, {
+    ...files,
+    'package.json': JSON.stringify({ serverlessMerge: { configFiles: ['stack.yml'], searchPaths: ['shared'], params: { tier: 'premium' } } })
+  });
+  assert.strictEqual((await runCli(['--stdout'])).stdout, 'custom:\n  size: large\n');
+});
+
+test('invalid fields are named in the error', async t => {
+  inTempDir(t, FILES);
+  const failure = async rc => {
+    fs.writeFileSync('.serverlessmergerc', rc);
+    assert.throws(() => new YamlMerger({ logger: silentLogger() }));
+    const { code, stderr } = await runCli(['--stdout']);
+    assert.strictEqual(code, 1);
+    return stderr;
+  };
+
+  assert.match(await failure('backupDir: 3\n'), /Invalid project config field 'backupDir': expected a non-empty string/);
+  assert.match(await failure('logLevel: loud\n'), /Invalid project config field 'logLevel': expected one of: error, warn, info, debug/);
+  assert.match(await failure('colour: blue\n'), /Invalid project config field 'colour': unknown field, expected one of: searchPaths, /);
+});
+
+test('--no-config ignores the project config', async t => {
+  inTempDir(t, FILES);
+  const { code, stderr } = await runCli(['--stdout', '--no-config']);
+
+  assert.strictEqual(code, 1);
+  assert.match(stderr, /No valid configuration file found/);
+});
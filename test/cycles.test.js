@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { YamlMergeError } = require('../src/merge');
+const { merge, inTempDir, runCli } = require('./helpers');
+
+test('a cycle is reported with the full include chain', async () => {
+  await assert.rejects(merge({
+    'serverless.yml': 'provider:\n  merge: ${file(./provider.yml)}\n',
+    'provider.yml': 'merge: ${file(./common.yml)}\n',
+    'common.yml': 'nested:\n  merge: ${file(./provider.yml)}\n'
+  }), error => {
+    assert.ok(error instanceof YamlMergeError);
+    assert.strictEqual(error.message,
+        'Circular reference detected: serverless.yml -> provider.yml -> common.yml -> provider.yml');
+    assert.strictEqual(error.filePath, '/project/common.yml');
+    assert.strictEqual(error.line, 2);
+    return true;
+  });
+});
+
+test('a file including itself is a cycle', async () => {
+  await assert.rejects(merge({
+    'serverless.yml': 'provider:\n  merge: ${file(./serverless.yml)}\n'
+  }), /Circular reference detected: serverless\.yml -> serverless\.yml/);
+});
+
+test('the same file reached through two paths is not a cycle', async () => {
+  const merged = await merge({
+    'serverless.yml': 'a:\n  merge: ${file(./one.yml)}\nb:\n  merge: ${file(./two.yml)}\n',
+    'one.yml': 'merge: ${file(./shared.yml)}\n',
+    'two.yml': 'merge: ${file(./shared.yml)}\n',
+    'shared.yml': 'value: 1\n'
+  });
+  assert.strictEqual(merged, 'a:\n  value: 1\nb:\n  value: 1\n');
+});
+
+test('includes deeper than maxDepth are rejected', async () => {
+  const files = {
+    'serverless.yml': 'a:\n  merge: ${file(./b.yml)}\n',
+    'b.yml': 'merge: ${file(./c.yml)}\n',
+    'c.yml': 'value: 1\n'
+  };
+
+  assert.strictEqual(await merge(files, { maxDepth: 2 }), 'a:\n  value: 1\n');
+  await assert.rejects(merge(files, { maxDepth: 1 }),
+      /^YamlMergeError: Maximum include depth of 1 exceeded: serverless\.yml -> b\.yml -> c\.yml$/);
+});
+
+test('--max-depth only accepts non-negative integers', async t => {
+  inTempDir(t, { 'serverless.yml': 'service: orders\n' });
+  const { code, stderr } = await runCli(['--stdout', '--max-depth', '1.5']);
+
+  assert.strictEqual(code, 1);
+  assert.match(stderr, /Invalid --max-depth '1\.5', expected a non-negative integer/);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Logger } = require('../src/merge');
+const { merge } = require('./helpers');
+
+const FILES = {
+  'serverless.yml': 'provider:\n  name: aws\n  merge: ${file(./config/provider.yml)}\n',
+  'config/provider.yml': 'runtime: nodejs18.x\nname: other\n'
+};
+
+test('a key defined in the root and an include is reported with both locations', async () => {
+  const warnings = [];
+  const merged = await merge(FILES, {
+    logger: new Logger('warn', (prefix, ...args) => warnings.push(`${prefix} ${args.join(' ')}`))
+  });
+
+  assert.strictEqual(merged, 'provider:\n  name: aws\n  runtime: nodejs18.x\n  name: other\n');
+  assert.deepStrictEqual(warnings, [
+    '[WARN] Duplicate key: provider.name defined in serverless.yml:2 and config/provider.yml:2\n' +
+        '  included via serverless.yml -> config/provider.yml'
+  ]);
+});
+
+test('strict mode fails on duplicate keys', async () => {
+  await assert.rejects(merge(FILES, { strict: true }), error => {
+    assert.strictEqual(error.message, 'Duplicate keys found in merged output:\n' +
+        'provider.name defined in serverless.yml:2 and config/provider.yml:2\n' +
+        '  included via serverless.yml -> config/provider.yml');
+    return true;
+  });
+});
+
+test('nested duplicates and list items are checked at every level', async () => {
+  await assert.rejects(merge({
+    'serverless.yml': 'functions:\n  api:\n    handler: a\n    merge: ${file(./extra.yml)}\n  list:\n    - a: 1\n      b: 2\n',
+    'extra.yml': 'handler: b\n'
+  }, { strict: true }), /functions\.api\.handler defined in serverless\.yml:3 and extra\.yml:1/);
+});
+
+test('keys that are only repeated across list items are not duplicates', async () => {
+  const merged = await merge({
+    'serverless.yml': 'custom:\n  items:\n    - name: a\n    - name: b\n'
+  }, { strict: true });
+  assert.strictEqual(merged, 'custom:\n  items:\n    - name: a\n    - name: b\n');
+});
+
+test('semantic mode merges the trees instead of reporting duplicates', async () => {
+  const merged = await merge(FILES, { mode: 'semantic', strict: true });
+  assert.strictEqual(merged, 'provider:\n  name: other\n  runtime: nodejs18.x\n');
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { merge } = require('./helpers');
+
+const FUNCTIONS = {
+  'functions/b.yml': 'b:\n  handler: src/b.handler\n',
+  'functions/a.yml': 'a:\n  handler: src/a.handler\n',
+  'functions/_draft.yml': 'draft:\n  handler: src/draft.handler\n',
+  'functions/nested/c.yml': 'c:\n  handler: src/c.handler\n'
+};
+
+test('globs merge matching files in sorted order and honour excludes', async () => {
+  const all = await merge({ ...FUNCTIONS, 'serverless.yml': 'functions:\n  merge: ${file(./functions/*.yml)}\n' });
+  assert.deepStrictEqual(all.match(/^ {2}\w+(?=:)/gm).map(key => key.trim()), ['draft', 'a', 'b']);
+
+  const filtered = await merge({ ...FUNCTIONS, 'serverless.yml': 'functions:\n  merge: ${files(./functions/*.yml, !./functions/_*.yml)}\n' });
+  assert.strictEqual(filtered, 'functions:\n  a:\n    handler: src/a.handler\n  b:\n    handler: src/b.handler\n');
+});
+
+test('** matches files in nested directories', async () => {
+  const merged = await merge({
+    ...FUNCTIONS,
+    'serverless.yml': 'functions:\n  merge: ${files(./functions/**/*.yml, !**/_*.yml)}\n'
+  });
+  assert.strictEqual(merged, 'functions:\n  a:\n    handler: src/a.handler\n  b:\n    handler: src/b.handler\n' +
+      '  c:\n    handler: src/c.handler\n');
+});
+
+test('a section selector is applied to every matching file', async () => {
+  const merged = await merge({
+    'serverless.yml': 'resources:\n  Resources:\n    merge: ${file(./resources/*.yml):Resources}\n',
+    'resources/queue.yml': 'Resources:\n  Queue:\n    Type: AWS::SQS::Queue\nOutputs:\n  QueueUrl:\n    Value: url\n',
+    'resources/table.yml': 'Resources:\n  Table:\n    Type: AWS::DynamoDB::Table\n'
+  });
+  assert.strictEqual(merged, 'resources:\n  Resources:\n    Queue:\n      Type: AWS::SQS::Queue\n' +
+      '    Table:\n      Type: AWS::DynamoDB::Table\n');
+});
+
+test('a glob that matches nothing fails on the directive line', async () => {
+  await assert.rejects(merge({
+    'serverless.yml': 'service: orders\nfunctions:\n  merge: ${file(./missing/*.yml)}\n'
+  }), error => {
+    assert.strictEqual(error.message, 'No files match pattern: ./missing/*.yml');
+    assert.strictEqual(error.line, 3);
+    return true;
+  });
+});
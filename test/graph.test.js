@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { inTempDir, createMerger, runCli } = require('./helpers');
+
+const FILES = {
+  'serverless.yml': 'service: orders\nprovider:\n  merge: ${file(./config/provider.yml)}\n' +
+      'resources:\n  merge: ${file(./config/infra.yml):Resources}\n',
+  'config/provider.yml': 'name: aws\nmerge: ${file(./common.yml)}\n',
+  'config/common.yml': 'region: eu-west-1\n',
+  'config/infra.yml': 'Resources:\n  Queue:\n    Type: AWS::SQS::Queue\n',
+  'config/unused.yml': 'a: 1\n'
+};
+
+async function graph(format, inputs = ['serverless.yml']) {
+  const merger = createMerger();
+  return merger.formatIncludeGraph(await merger.buildIncludeGraph(inputs), format);
+}
+
+test('the tree lists nested includes, section selectors and orphans', async t => {
+  inTempDir(t, FILES);
+  assert.strictEqual(await graph('tree'), [
+    'serverless.yml',
+    '├── config/provider.yml',
+    '│   └── config/common.yml',
+    '└── config/infra.yml:Resources',
+    '',
+    'Orphaned files (never referenced):',
+    '  config/unused.yml',
+    ''
+  ].join('\n'));
+});
+
+test('the JSON graph records the directive of every edge', async t => {
+  inTempDir(t, FILES);
+  const result = JSON.parse(await graph('json'));
+
+  assert.deepStrictEqual(result.roots, ['serverless.yml']);
+  assert.deepStrictEqual(result.files['serverless.yml'].includes[1], {
+    path: './config/infra.yml',
+    file: 'config/infra.yml',
+    section: 'Resources',
+    line: 5
+  });
+  assert.deepStrictEqual(result.files['config/common.yml'], { includes: [] });
+  assert.deepStrictEqual(result.orphans, ['config/unused.yml']);
+});
+
+test('the DOT graph labels sections and marks orphans', async t => {
+  inTempDir(t, FILES);
+  assert.strictEqual(await graph('dot'), [
+    'digraph includes {',
+    '  rankdir=LR;',
+    '  "serverless.yml" [shape=box];',
+    '  "serverless.yml" -> "config/provider.yml";',
+    '  "serverless.yml" -> "config/infra.yml" [label=":Resources"];',
+    '  "config/provider.yml" -> "config/common.yml";',
+    '  "config/unused.yml" [style=dashed];',
+    '}',
+    ''
+  ].join('\n'));
+});
+
+test('missing includes and cycles are shown instead of failing', async t => {
+  inTempDir(t, {
+    'serverless.yml': 'a:\n  merge: ${file(./a.yml)}\nb:\n  merge: ${file(./missing.yml)}\n',
+    'a.yml': 'merge: ${file(./serverless.yml)}\n'
+  });
+  const tree = await graph('tree');
+
+  assert.match(tree, /^├── a\.yml\n│   └── serverless\.yml \(circular\)$/m);
+  assert.match(tree, /^└── \.\/missing\.yml \(unresolved: .*\)$/m);
+});
+
+test('an in-place merged root is graphed from its original directives', async t => {
+  inTempDir(t, FILES);
+  await createMerger().process('serverless.yml');
+  assert.match(await graph('tree'), /^└── config\/infra\.yml:Resources$/m);
+});
+
+test('--graph writes nothing and rejects unknown formats', async t => {
+  const dir = inTempDir(t, FILES);
+  const before = fs.readdirSync(dir);
+
+  const { code, stdout } = await runCli(['--graph', '--format', 'json']);
+  assert.strictEqual(code, 0);
+  assert.deepStrictEqual(JSON.parse(stdout).roots, ['serverless.yml']);
+  assert.deepStrictEqual(fs.readdirSync(dir), before);
+
+  await assert.rejects(graph('svg'), /Unknown graph format: svg\. Expected one of: tree, json, dot/);
+});
@@ -0,0 +1,67 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { YamlMerger, Logger, MemoryFileSystem, mergeToString } = require('../src/merge');
+
+// Dosyaları bellekte birleştirir, diske hiçbir şey yazılmaz
+function merge(files, options = {}) {
+  return mergeToString('serverless.yml', {
+    logLevel: 'error',
+    ...options,
+    fileSystem: new MemoryFileSystem(files, '/project')
+  });
+}
+
+// Testi kendi geçici dizininde çalıştırır; yedekler ve kaynak haritaları da oraya yazılır
+function inTempDir(t, files = {}) {
+  const cwd = process.cwd();
+  const dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'serverless-merge-')));
+  writeFiles(dir, files);
+  process.chdir(dir);
+  t.after(() => {
+    process.chdir(cwd);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return dir;
+}
+
+function writeFiles(dir, files) {
+  for (const [file, content] of Object.entries(files)) {
+    const filePath = path.join(dir, file);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  }
+}
+
+function silentLogger() {
+  return new Logger('error', () => {});
+}
+
+function createMerger(options = {}) {
+  return new YamlMerger({ config: false, logger: silentLogger(), ...options });
+}
+
+// CLI'ı geçerli dizinde çalıştırır; çıkış kodu, stdout ve stderr döner
+function runCli(args, { cwd = process.cwd(), timeout = 30000 } = {}) {
+  const cli = path.join(__dirname, '..', 'src', 'merge.js');
+  return new Promise(resolve => {
+    execFile(process.execPath, [cli, ...args], { cwd, timeout }, (error, stdout, stderr) => {
+      resolve({ code: error ? (typeof error.code === 'number' ? error.code : 1) : 0, stdout, stderr });
+    });
+  });
+}
+
+function read(file) {
+  return fs.readFileSync(file, 'utf8');
+}
+
+module.exports = {
+  merge,
+  inTempDir,
+  writeFiles,
+  silentLogger,
+  createMerger,
+  runCli,
+  read
+};
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { mergeToString } = require('../src/merge');
+const { merge, inTempDir } = require('./helpers');
+
+test('a JSON include is serialized at the directive indentation', async () => {
+  const merged = await merge({
+    'serverless.yml': 'custom:\n  settings:\n    merge: ${file(./settings.json)}\n',
+    'settings.json': '{\n  "a": 1,\n  "nested": {"inner": {"b": [1, 2]}}\n}\n'
+  });
+  assert.strictEqual(merged, 'custom:\n  settings:\n    a: 1\n    nested:\n      inner:\n        b:\n          - 1\n          - 2\n');
+});
+
+test('section selectors work on JSON includes', async () => {
+  const merged = await merge({
+    'serverless.yml': 'custom:\n  merge: ${file(./settings.json):nested.inner}\n',
+    'settings.json': '{"nested": {"inner": {"b": true}, "other": 1}}'
+  });
+  assert.strictEqual(merged, 'custom:\n  b: true\n');
+});
+
+test('a malformed JSON include is reported with its line', async () => {
+  await assert.rejects(merge({
+    'serverless.yml': 'custom:\n  merge: ${file(./settings.json)}\n',
+    'settings.json': '{\n  "a": 1,\n}\n'
+  }), error => {
+    assert.match(error.message, /^Invalid JSON: /);
+    assert.strictEqual(error.line, 3);
+    return true;
+  });
+});
+
+test('JS modules are called with the stage, options and parsed root document', async t => {
+  inTempDir(t, {
+    'serverless.yml': 'service: orders\ncustom:\n  dynamic:\n    merge: ${file(./dynamic.js)}\n  sync:\n    merge: ${file(./sync.cjs)}\n',
+    'dynamic.js': 'module.exports = async ({ stage, options, document }) => ' +
+        '({ stage, service: document.service, region: options.region });\n',
+    'sync.cjs': 'module.exports = { list: ["x", { key: "value" }] };\n'
+  });
+
+  const merged = await mergeToString('serverless.yml', { stage: 'prod', region: 'eu-west-1', logLevel: 'error' });
+  assert.strictEqual(merged, 'service: orders\ncustom:\n  dynamic:\n    stage: prod\n    service: orders\n    region: eu-west-1\n' +
+      '  sync:\n    list:\n      - x\n      - key: value\n');
+});
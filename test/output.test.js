@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { createUnifiedDiff } = require('../src/merge');
+const { inTempDir, createMerger, runCli, read } = require('./helpers');
+
+const FILES = {
+  'serverless.yml': 'service: orders\nprovider:\n  merge: ${file(./provider.yml)}\n',
+  'provider.yml': 'name: aws\n'
+};
+const MERGED = 'service: orders\nprovider:\n  name: aws\n';
+
+test('--output writes the merge elsewhere and leaves the input alone', async t => {
+  inTempDir(t, FILES);
+  await createMerger().process('serverless.yml', 'merged.yml');
+
+  assert.strictEqual(read('merged.yml'), MERGED);
+  assert.strictEqual(read('serverless.yml'), FILES['serverless.yml']);
+  assert.ok(!fs.existsSync('.mergebackup'));
+});
+
+test('--stdout prints the merge and writes nothing', async t => {
+  const dir = inTempDir(t, FILES);
+  const { code, stdout, stderr } = await runCli(['-i', 'serverless.yml', '--stdout', '--log-level', 'debug']);
+
+  assert.strictEqual(code, 0, stderr);
+  assert.strictEqual(stdout, MERGED);
+  assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['provider.yml', 'serverless.yml']);
+});
+
+test('--dry-run prints a unified diff against the file that would be written', async t => {
+  inTempDir(t, FILES);
+  const { code, stdout } = await runCli(['-i', 'serverless.yml', '--dry-run']);
+
+  assert.strictEqual(code, 0);
+  assert.strictEqual(stdout, [
+    '--- a/serverless.yml',
+    '+++ b/serverless.yml',
+    '@@ -1,3 +1,3 @@',
+    ' service: orders',
+    ' provider:',
+    '-  merge: ${file(./provider.yml)}',
+    '+  name: aws',
+    ''
+  ].join('\n'));
+  assert.strictEqual(read('serverless.yml'), FILES['serverless.yml']);
+});
+
+test('--dry-run with --output diffs against the existing output file', async t => {
+  inTempDir(t, { ...FILES, 'merged.yml': MERGED });
+  const merger = createMerger();
+
+  assert.strictEqual(await merger.diff('serverless.yml', 'merged.yml'), '');
+  fs.writeFileSync('provider.yml', 'name: azure\n');
+  assert.match(await merger.diff('serverless.yml', 'merged.yml'), /^-  name: aws\n\+  name: azure$/m);
+});
+
+test('preview options cannot be combined with --bulk or --restore', async t => {
+  inTempDir(t, FILES);
+  const { code, stderr } = await runCli(['--bulk', '--stdout']);
+
+  assert.strictEqual(code, 1);
+  assert.match(stderr, /--stdout and --dry-run cannot be combined with --bulk or --restore/);
+});
+
+test('createUnifiedDiff keeps context around changed lines', () => {
+  const before = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'].join('\n') + '\n';
+  const after = ['a', 'b', 'c', 'd', 'E', 'f', 'g', 'h'].join('\n') + '\n';
+
+  assert.strictEqual(createUnifiedDiff(before, after, 'a/x', 'b/x'), [
+    '--- a/x',
+    '+++ b/x',
+    '@@ -2,7 +2,7 @@',
+    ' b',
+    ' c',
+    ' d',
+    '-e',
+    '+E',
+    ' f',
+    ' g',
+    ' h',
+    ''
+  ].join('\n'));
+  assert.strictEqual(createUnifiedDiff(before, before), '');
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { merge } = require('./helpers');
+
+const PACKAGE = {
+  'package.json': '{"name": "app", "dependencies": {"@org/shared": "^2.0.0", "@org/missing": "^1.2.0"}}',
+  'secret.yml': 'password: hunter2\n',
+  'node_modules/@org/shared/package.json': '{"name": "@org/shared", "version": "2.1.0"}',
+  'node_modules/@org/shared/provider.yml': 'name: aws\nmerge: ${file(./common.yml)}\n',
+  'node_modules/@org/shared/common.yml': 'runtime: nodejs20.x\n',
+  'node_modules/@org/shared/alarms/errors.yml': 'Resources:\n  Errors:\n    Type: AWS::CloudWatch::Alarm\n',
+  'node_modules/@org/shared/alarms/legacy.yml': 'Resources:\n  Legacy:\n    Type: AWS::CloudWatch::Alarm\n',
+  'node_modules/@org/shared/escape.yml': 'merge: ${file(../../../secret.yml)}\n'
+};
+
+function mergeReference(reference) {
+  return merge({ ...PACKAGE, 'serverless.yml': `service: orders\ncustom:\n  merge: ${reference}\n` });
+}
+
+test('pkg references resolve from node_modules and keep relative includes inside the package', async () => {
+  const merged = await merge({
+    ...PACKAGE,
+    'serverless.yml': 'provider:\n  merge: ${pkg(@org/shared/provider.yml)}\nresources:\n  Resources:\n' +
+        '    merge: ${file(pkg:@org/shared/alarms/*.yml, !alarms/legacy.yml):Resources}\n'
+  });
+  assert.strictEqual(merged, 'provider:\n  name: aws\n  runtime: nodejs20.x\nresources:\n  Resources:\n' +
+      '    Errors:\n      Type: AWS::CloudWatch::Alarm\n');
+});
+
+test('a missing package names the version package.json asks for', async () => {
+  await assert.rejects(mergeReference('${pkg(@org/missing/provider.yml)}'), error => {
+    assert.strictEqual(error.message,
+        "Cannot find package '@org/missing' (@org/missing@^1.2.0 is required by package.json), is it installed?");
+    assert.strictEqual(error.line, 3);
+    return true;
+  });
+});
+
+test('a missing file names the installed package version', async () => {
+  await assert.rejects(mergeReference('${pkg(@org/shared/nope.yml)}'),
+      /^YamlMergeError: File 'nope\.yml' not found in package @org\/shared@2\.1\.0$/);
+});
+
+test('a package include may not reach outside of the package', async () => {
+  await assert.rejects(mergeReference('${pkg(@org/shared/escape.yml)}'),
+      /'\.\.\/\.\.\/\.\.\/secret\.yml' resolves outside of package @org\/shared/);
+});
+
+test('a reference without a file is rejected', async () => {
+  await assert.rejects(mergeReference('${pkg(@org/shared)}'),
+      /Invalid package reference 'pkg:@org\/shared', expected pkg:<package>\/<file>/);
+});
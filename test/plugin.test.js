@@ -0,0 +1,180 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const yaml = require('js-yaml');
+const { CLOUDFORMATION_SCHEMA } = require('js-yaml-cloudformation-schema');
+const ServerlessMergePlugin = require('@smartfinger/serverless-merge/plugin');
+const { inTempDir, createMerger, read, writeFiles } = require('./helpers');
+
+const SERVICE = {
+  'serverless.yml': [
+    'service: orders',
+    'merge: ${file(./base.yml)}',
+    'provider:',
+    '  name: aws',
+    "  stage: ${opt:stage, 'dev'}",
+    '  merge: ${file(./sub/provider.yml)}',
+    'custom:',
+    '  merge:if(stage==prod): ${file(./sub/prod.yml)}',
+    'resources:',
+    '  Resources:',
+    '    merge: ${file(./sub/queue.yml):Resources}',
+    ''
+  ].join('\n'),
+  'base.yml': "frameworkVersion: '3'\n",
+  'sub/provider.yml': 'region: eu-west-1\nenvironment:\n  TABLE: ${self:custom.tableName}\n',
+  'sub/prod.yml': 'alarms: true\n',
+  'sub/queue.yml': 'Resources:\n  Queue:\n    Type: AWS::SQS::Queue\n  Policy:\n    Properties:\n      Queues:\n        - !Ref Queue\n'
+};
+
+// Serverless'in yapılandırmadaki değişkenleri yol anahtarlarıyla kaydetmesini taklit eder
+function collectVariables(value, pathKeys, variablesMeta) {
+  if (typeof value === 'string') {
+    if (value.includes('${')) variablesMeta.set(pathKeys.join('\0'), { value });
+  } else if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([key, child]) => collectVariables(child, [...pathKeys, key], variablesMeta));
+  }
+}
+
+// Serverless v3'ün eklentilere sunduğu yüzeyin bir taklidi
+function createServerless(serviceDir, { extendable = true } = {}) {
+  const configurationInput = JSON.parse(JSON.stringify(
+      yaml.load(read(path.join(serviceDir, 'serverless.yml')), { schema: CLOUDFORMATION_SCHEMA })
+  ));
+  const variablesMeta = new Map();
+  collectVariables(configurationInput, [], variablesMeta);
+
+  return {
+    serviceDir,
+    configurationFilename: 'serverless.yml',
+    configurationInput,
+    variablesMeta,
+    isConfigurationExtendable: extendable,
+    extended: [],
+    extendConfiguration(pathKeys, value) {
+      this.extended.push(pathKeys.join('.'));
+      value = JSON.parse(JSON.stringify(value));
+      this.configurationInput[pathKeys[0]] = value;
+      for (const key of Array.from(this.variablesMeta.keys())) {
+        if (key === pathKeys[0] || key.startsWith(`${pathKeys[0]}\0`)) this.variablesMeta.delete(key);
+      }
+      collectVariables(value, pathKeys, this.variablesMeta);
+    },
+    service: {
+      reloaded: 0,
+      reloadServiceFileParam() {
+        this.reloaded++;
+      }
+    },
+    classes: { Error: class ServerlessError extends Error {} }
+  };
+}
+
+function createLog() {
+  const messages = { error: [], warning: [], verbose: [], success: [] };
+  const log = {};
+  Object.keys(messages).forEach(level => {
+    log[level] = message => messages[level].push(message);
+  });
+  return { log, messages };
+}
+
+test('the plugin is exported under the package name', () => {
+  assert.strictEqual(ServerlessMergePlugin, require('../src/plugin'));
+  assert.strictEqual(require('@smartfinger/serverless-merge').ServerlessMergePlugin, ServerlessMergePlugin);
+});
+
+test('asyncInit hands the merged tree to extendConfiguration', async t => {
+  const dir = inTempDir(t, SERVICE);
+  const serverless = createServerless(dir);
+  const plugin = new ServerlessMergePlugin(serverless, { stage: 'prod' }, createLog());
+
+  await plugin.asyncInit();
+
+  assert.deepStrictEqual(serverless.extended, ['service', 'frameworkVersion', 'provider', 'custom', 'resources']);
+  assert.deepStrictEqual(serverless.configurationInput, {
+    service: 'orders',
+    frameworkVersion: '3',
+    provider: {
+      name: 'aws',
+      stage: "${opt:stage, 'dev'}",
+      region: 'eu-west-1',
+      environment: { TABLE: '${self:custom.tableName}' }
+    },
+    custom: { alarms: true },
+    resources: {
+      Resources: {
+        Queue: { Type: 'AWS::SQS::Queue' },
+        Policy: { Properties: { Queues: [{ Ref: 'Queue' }] } }
+      }
+    }
+  });
+  // Serverless'in çözeceği değişkenler birleşik ağaca göre yeniden kaydedilmiştir
+  assert.deepStrictEqual(Array.from(serverless.variablesMeta.keys()).sort(), [
+    'provider\0environment\0TABLE',
+    'provider\0stage'
+  ]);
+});
+
+test('the merge runs once even when the package hook fires after asyncInit', async t => {
+  const dir = inTempDir(t, SERVICE);
+  const serverless = createServerless(dir);
+  const plugin = new ServerlessMergePlugin(serverless, {}, createLog());
+
+  await plugin.asyncInit();
+  await plugin.hooks['before:package:initialize']();
+
+  assert.strictEqual(serverless.extended.length, 5);
+  assert.strictEqual(serverless.configurationInput.custom, null);
+});
+
+test('without extendConfiguration the configuration is replaced in place', async t => {
+  const dir = inTempDir(t, SERVICE);
+  const serverless = createServerless(dir, { extendable: false });
+  const input = serverless.configurationInput;
+  const plugin = new ServerlessMergePlugin(serverless, {}, createLog());
+
+  await plugin.apply();
+
+  assert.strictEqual(serverless.configurationInput, input);
+  assert.deepStrictEqual(serverless.extended, []);
+  assert.strictEqual(input.provider.region, 'eu-west-1');
+  assert.ok(!('merge' in input));
+  assert.strictEqual(serverless.service.reloaded, 1);
+});
+
+test('merge print writes the merged configuration and leaves the file alone', async t => {
+  const dir = inTempDir(t, SERVICE);
+  const written = [];
+  const plugin = new ServerlessMergePlugin(createServerless(dir), {}, {
+    ...createLog(),
+    writeText: text => written.push(text)
+  });
+
+  await plugin.hooks['merge:print:print']();
+
+  assert.strictEqual(written.length, 1);
+  assert.match(written[0], /^ {2}region: eu-west-1$/m);
+  assert.ok(!written[0].endsWith('\n'));
+  assert.strictEqual(read('serverless.yml'), SERVICE['serverless.yml']);
+});
+
+test('merge check passes for an up-to-date merge and fails with a diff otherwise', async t => {
+  const dir = inTempDir(t, SERVICE);
+  await createMerger().process('serverless.yml');
+
+  const { log, messages } = createLog();
+  const serverless = createServerless(dir);
+  const plugin = new ServerlessMergePlugin(serverless, {}, { log });
+  await plugin.hooks['merge:check:check']();
+  assert.strictEqual(messages.success.length, 1);
+  assert.match(messages.success[0], /up to date/);
+
+  writeFiles(dir, { 'sub/provider.yml': 'region: us-east-1\n' });
+  await assert.rejects(plugin.hooks['merge:check:check'](), error => {
+    assert.ok(error instanceof serverless.classes.Error);
+    assert.match(error.message, /-\s+region: eu-west-1/);
+    assert.match(error.message, /\+\s+region: us-east-1/);
+    return true;
+  });
+});
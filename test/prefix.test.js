@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const yaml = require('js-yaml');
+const { CLOUDFORMATION_SCHEMA } = require('js-yaml-cloudformation-schema');
+const { merge } = require('./helpers');
+
+const QUEUE = [
+  'Resources:',
+  '  Queue:',
+  '    Type: AWS::SQS::Queue',
+  '  Policy:',
+  '    Type: AWS::SQS::QueuePolicy',
+  '    DependsOn: Queue',
+  '    Properties:',
+  '      Queues:',
+  '        - !Ref Queue',
+  '      Arn: !GetAtt Queue.Arn',
+  '      Url: !Sub "${Queue}-url"',
+  'Outputs:',
+  '  QueueUrl:',
+  '    Value: !Ref Queue',
+  '    Export:',
+  '      Name: ${self:service}-QueueUrl',
+  ''
+].join('\n');
+
+const SERVICE = [
+  'resources:',
+  '  Resources:',
+  '    merge: ${file(./queue.yml):Resources, prefix=Orders}',
+  '    $<<: ${file(./queue.yml):Resources, prefix=Payments}',
+  '  Outputs:',
+  '    merge: ${file(./queue.yml):Outputs, prefix=Orders}',
+  ''
+].join('\n');
+
+for (const mode of ['text', 'semantic']) {
+  test(`${mode}: prefixes rename logical IDs and their references`, async () => {
+    const merged = await merge({ 'serverless.yml': SERVICE, 'queue.yml': QUEUE }, { mode });
+    const { resources } = JSON.parse(JSON.stringify(yaml.load(merged, { schema: CLOUDFORMATION_SCHEMA })));
+
+    assert.deepStrictEqual(Object.keys(resources.Resources), ['OrdersQueue', 'OrdersPolicy', 'PaymentsQueue', 'PaymentsPolicy']);
+    assert.deepStrictEqual(resources.Resources.PaymentsPolicy, {
+      Type: 'AWS::SQS::QueuePolicy',
+      DependsOn: 'PaymentsQueue',
+      Properties: {
+        Queues: [{ Ref: 'PaymentsQueue' }],
+        Arn: { 'Fn::GetAtt': 'PaymentsQueue.Arn' },
+        Url: { 'Fn::Sub': '${PaymentsQueue}-url' }
+      }
+    });
+    assert.deepStrictEqual(resources.Outputs, {
+      OrdersQueueUrl: {
+        Value: { Ref: 'OrdersQueue' },
+        Export: { Name: '${self:service}-OrdersQueueUrl' }
+      }
+    });
+  });
+
+  test(`${mode}: prefixed references keep their intrinsic tags`, async () => {
+    const merged = await merge({ 'serverless.yml': SERVICE, 'queue.yml': QUEUE }, { mode });
+
+    assert.match(merged, /- !Ref OrdersQueue$/m);
+    assert.match(merged, /Arn: !GetAtt PaymentsQueue\.Arn$/m);
+    assert.match(merged, /Url: !Sub "?\$\{OrdersQueue\}-url"?$/m);
+    assert.doesNotMatch(merged, /Ref:|Fn::/);
+  });
+}
+
+test('a prefix must be letters and digits', async () => {
+  await assert.rejects(merge({
+    'serverless.yml': 'resources:\n  Resources:\n    merge: ${file(./queue.yml):Resources, prefix=Or-ders}\n',
+    'queue.yml': QUEUE
+  }), error => {
+    assert.strictEqual(error.line, 3);
+    assert.match(error.message, /Invalid prefix 'Or-ders'/);
+    return true;
+  });
+});
+
+test('a prefix may come from a parameter', async () => {
+  const merged = await merge({
+    'serverless.yml': 'resources:\n  Resources:\n    merge: ${file(./queue.yml):Resources, prefix=${param:team}}\n',
+    'queue.yml': QUEUE
+  }, { params: { team: 'Billing' } });
+  assert.match(merged, /^ {4}BillingQueue:$/m);
+  assert.match(merged, /- !Ref BillingQueue$/m);
+});
+
+for (const mode of ['text', 'semantic']) {
+  test(`${mode}: a prefix needs a Resources or Outputs section`, async () => {
+    for (const [reference, got] of [
+      ['${file(./queue.yml), prefix=Orders}', 'the whole file was included'],
+      ['${file(./queue.yml):Resources.Queue, prefix=Orders}', "got ':Resources.Queue'"]
+    ]) {
+      await assert.rejects(merge({
+        'serverless.yml': `service: orders\nresources:\n  merge: ${reference}\n`,
+        'queue.yml': QUEUE
+      }, { mode }), error => {
+        assert.strictEqual(error.message, `prefix=Orders needs a Resources or Outputs section selector such as :Resources, ${got}`);
+        // Semantik modda hatalar satır bilgisi taşımaz
+        assert.strictEqual(error.line, mode === 'text' ? 3 : null);
+        return true;
+      });
+    }
+  });
+
+  test(`${mode}: a prefix applies to a subset of resources`, async () => {
+    const merged = await merge({
+      'serverless.yml': 'resources:\n  Resources:\n    merge: ${file(./queue.yml):Resources.{Queue}, prefix=Orders}\n',
+      'queue.yml': QUEUE
+    }, { mode });
+    assert.strictEqual(merged, 'resources:\n  Resources:\n    OrdersQueue:\n      Type: AWS::SQS::Queue\n');
+  });
+
+  test(`${mode}: tagged export names keep their tag`, async () => {
+    const merged = await merge({
+      'serverless.yml': 'resources:\n  Outputs:\n    merge: ${file(./outputs.yml):Outputs, prefix=Orders}\n',
+      'outputs.yml': 'Outputs:\n  QueueArn:\n    Value: !GetAtt [Queue, Arn]\n    Export:\n      Name: !Sub "${AWS::StackName}-QueueArn"\n'
+    }, { mode });
+    assert.match(merged, /Name: !Sub "?\$\{AWS::StackName\}-OrdersQueueArn"?$/m);
+    assert.doesNotMatch(merged, /Fn::/);
+  });
+}
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { merge } = require('./helpers');
+
+const LIBRARY = [
+  'Resources:',
+  '  UsersTable:',
+  '    Type: AWS::DynamoDB::Table',
+  '  OrdersTable:',
+  '    Type: AWS::DynamoDB::Table',
+  '  Queue:',
+  '    Type: AWS::SQS::Queue',
+  'custom:',
+  '  tables:',
+  '    users: users-table',
+  '  "my.key":',
+  '    dotted: true',
+  'functions:',
+  '  - first:',
+  '      handler: src/first.handler',
+  '  - second:',
+  '      handler: src/second.handler',
+  ''
+].join('\n');
+
+function mergeSelector(selector, mode) {
+  return merge({
+    'serverless.yml': `selected:\n  merge: \${file(./library.yml)${selector}}\n`,
+    'library.yml': LIBRARY
+  }, { mode });
+}
+
+const SELECTORS = {
+  ':Resources.UsersTable': 'selected:\n  Type: AWS::DynamoDB::Table\n',
+  ':custom.tables': 'selected:\n  users: users-table\n',
+  ':functions[1]': 'selected:\n  second:\n    handler: src/second.handler\n',
+  ':custom."my.key"': 'selected:\n  dotted: true\n',
+  ':Resources.{UsersTable,Queue}': 'selected:\n  UsersTable:\n    Type: AWS::DynamoDB::Table\n  Queue:\n    Type: AWS::SQS::Queue\n',
+  ':Resources.*': 'selected:\n  UsersTable:\n    Type: AWS::DynamoDB::Table\n  OrdersTable:\n    Type: AWS::DynamoDB::Table\n  Queue:\n    Type: AWS::SQS::Queue\n'
+};
+
+for (const mode of ['text', 'semantic']) {
+  for (const [selector, expected] of Object.entries(SELECTORS)) {
+    test(`${mode}: selector ${selector}`, async () => {
+      assert.strictEqual(await mergeSelector(selector, mode), expected);
+    });
+  }
+
+  test(`${mode}: a selector that matches nothing names the missing key`, async () => {
+    await assert.rejects(mergeSelector(':Resources.Missing', mode),
+        /Section 'Resources.Missing' not found: key 'Missing' does not exist under 'Resources'/);
+  });
+}
+
+test('a section include does not carry the blank line that follows it', async () => {
+  const merged = await merge({
+    'serverless.yml': 'resources:\n  Resources:\n    merge: ${file(./resources.yml):Resources}\n  Outputs:\n    merge: ${file(./resources.yml):Outputs}\n',
+    'resources.yml': 'Resources:\n  Queue:\n    Type: AWS::SQS::Queue\n\nOutputs:\n  QueueUrl:\n    Value: url\n'
+  });
+  assert.strictEqual(merged, 'resources:\n  Resources:\n    Queue:\n      Type: AWS::SQS::Queue\n  Outputs:\n    QueueUrl:\n      Value: url\n');
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { inTempDir, createMerger, read } = require('./helpers');
+
+const FILES = {
+  'serverless.yml': 'service: orders\nprovider:\n  merge: ${file(./config/provider.yml)}\nfunctions:\n  api:\n    handler: src/api.handler\n',
+  'config/provider.yml': 'name: aws\nregion: eu-west-1\n'
+};
+
+test('an in-place merge writes a source map next to the file', async t => {
+  inTempDir(t, FILES);
+  await createMerger({ sourceMap: true }).process('serverless.yml');
+
+  const sourceMap = JSON.parse(read('serverless.yml.map'));
+  assert.strictEqual(sourceMap.file, 'serverless.yml');
+  assert.deepStrictEqual(sourceMap.sources, ['serverless.yml', path.join('config', 'provider.yml')]);
+  assert.deepStrictEqual(sourceMap.mappings.slice(0, 6), [
+    [0, 1, 0],
+    [0, 2, 0],
+    [1, 1, 1],
+    [1, 2, 1],
+    [0, 4, 0],
+    [0, 5, 0]
+  ]);
+  assert.deepStrictEqual(sourceMap.chains, [[0], [0, 1]]);
+});
+
+test('no source map is written unless asked for', async t => {
+  inTempDir(t, FILES);
+  await createMerger().process('serverless.yml');
+  assert.ok(!fs.existsSync('serverless.yml.map'));
+});
+
+test('trace finds the include a merged line came from', async t => {
+  const dir = inTempDir(t, FILES);
+  const merger = createMerger({ sourceMap: true });
+  await merger.process('serverless.yml');
+
+  assert.deepStrictEqual(await merger.trace('serverless.yml', 4), {
+    file: path.join(dir, 'config', 'provider.yml'),
+    line: 2,
+    chain: [path.join(dir, 'serverless.yml'), path.join(dir, 'config', 'provider.yml')],
+    text: 'region: eu-west-1'
+  });
+});
+
+test('trace reads lines of an in-place merged root from its original content', async t => {
+  const dir = inTempDir(t, FILES);
+  const merger = createMerger();
+  await merger.process('serverless.yml');
+
+  // Kaynak haritası yoksa birleştirme yedekteki özgün içerikle bellekte yeniden yapılır
+  const origin = await merger.trace('serverless.yml', 5);
+  assert.strictEqual(origin.file, path.join(dir, 'serverless.yml'));
+  assert.strictEqual(origin.line, 4);
+  assert.strictEqual(origin.text, 'functions:');
+});
+
+test('trace rejects lines outside of the file', async t => {
+  inTempDir(t, FILES);
+  await assert.rejects(createMerger().trace('serverless.yml', 99), /Line 99 is outside of serverless\.yml/);
+  await assert.rejects(createMerger().trace('serverless.yml', 'x'), /Invalid line number: x/);
+});
@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { mergeToString } = require('../src/merge');
+const { inTempDir, createMerger, read } = require('./helpers');
+
+const SERVICE = [
+  'service: orders',
+  '',
+  '# ---- provider ----',
+  'provider:',
+  '  name: aws',
+  '  # runtime comment',
+  '  runtime: nodejs18.x',
+  "  stage: ${opt:stage, 'dev'}",
+  '',
+  'functions:',
+  '  hello:',
+  '    handler: src/hello.handler',
+  '',
+  '  world:',
+  '    # world comment',
+  '    handler: src/world.handler',
+  '',
+  'custom:',
+  '  tableName: ${self:service}-table',
+  '',
+  'resources:',
+  '  Resources:',
+  '    Queue:',
+  '      Type: AWS::SQS::Queue',
+  '',
+  '  Outputs:',
+  '    QueueUrl:',
+  '      Value: !Ref Queue',
+  ''
+].join('\n');
+
+test('split files merge back to the original bytes', async t => {
+  inTempDir(t, { 'serverless.yml': SERVICE });
+
+  const result = await createMerger().split('serverless.yml');
+  assert.deepStrictEqual(result.inline, ['functions']);
+  assert.deepStrictEqual(result.files.map(file => path.relative(process.cwd(), file)).sort(), [
+    path.join('subymls', 'custom.yml'),
+    path.join('subymls', 'provider.yml'),
+    path.join('subymls', 'resources.yml')
+  ]);
+
+  assert.strictEqual(await mergeToString('serverless.yml', { logLevel: 'error' }), SERVICE);
+});
+
+test('the root keeps its blank lines and the sub-files are clean', async t => {
+  inTempDir(t, { 'serverless.yml': SERVICE });
+  await createMerger().split('serverless.yml');
+
+  assert.strictEqual(read('serverless.yml'), [
+    'service: orders',
+    '',
+    '# ---- provider ----',
+    'provider:',
+    '  merge: ${file(./subymls/provider.yml)}',
+    '',
+    'functions:',
+    '  hello:',
+    '    handler: src/hello.handler',
+    '',
+    '  world:',
+    '    # world comment',
+    '    handler: src/world.handler',
+    '',
+    'custom:',
+    '  merge: ${file(./subymls/custom.yml)}',
+    '',
+    'resources:',
+    '  Resources:',
+    '    merge: ${file(./subymls/resources.yml):Resources}',
+    '',
+    '  Outputs:',
+    '    merge: ${file(./subymls/resources.yml):Outputs}',
+    ''
+  ].join('\n'));
+  assert.strictEqual(read('subymls/provider.yml'), "name: aws\n# runtime comment\nruntime: nodejs18.x\nstage: ${opt:stage, 'dev'}\n");
+  assert.strictEqual(read('subymls/custom.yml'), 'tableName: ${self:service}-table\n');
+  assert.strictEqual(read('subymls/resources.yml'), 'Resources:\n  Queue:\n    Type: AWS::SQS::Queue\n\nOutputs:\n  QueueUrl:\n    Value: !Ref Queue\n');
+});
+
+test('--function-files keeps the blank lines between functions in the root', async t => {
+  inTempDir(t, { 'serverless.yml': SERVICE });
+
+  const result = await createMerger().split('serverless.yml', { functionFiles: true });
+  assert.deepStrictEqual(result.inline, []);
+  assert.match(read('serverless.yml'), /functions:\n {2}merge:append:\n {4}- \$\{file\(\.\/subymls\/functions\/hello\.yml\)\}\n\n {4}- \$\{file\(\.\/subymls\/functions\/world\.yml\)\}\n/);
+  assert.strictEqual(read('subymls/functions/world.yml'), 'world:\n  # world comment\n  handler: src/world.handler\n');
+  assert.strictEqual(await mergeToString('serverless.yml', { logLevel: 'error' }), SERVICE);
+});
+
+test('the root is backed up and --restore undoes the split', async t => {
+  inTempDir(t, { 'serverless.yml': SERVICE });
+  const merger = createMerger();
+
+  const result = await merger.split('serverless.yml');
+  assert.strictEqual(read(result.backup), `#MergeBackup\n${SERVICE}`);
+
+  assert.strictEqual(await merger.restore('serverless.yml'), true);
+  assert.strictEqual(read('serverless.yml'), SERVICE);
+});
+
+test('a section that does not merge back byte for byte stays inline', async t => {
+  const content = 'service: orders\nprovider:\n  name: aws\n\n  runtime: nodejs18.x\ncustom:\n  size: 1\n';
+  inTempDir(t, { 'serverless.yml': content });
+
+  const result = await createMerger().split('serverless.yml');
+  assert.deepStrictEqual(result.inline, ['provider']);
+  assert.match(read('serverless.yml'), /^provider:\n {2}name: aws\n\n {2}runtime: nodejs18\.x\n/m);
+  assert.strictEqual(await mergeToString('serverless.yml', { logLevel: 'error' }), content);
+});
+
+test('repeated blank lines do not stop the split', async t => {
+  const content = 'service: orders\n\n\nprovider:\n  name: aws\n\n\n  runtime: nodejs18.x\n' +
+      'resources:\n  Resources:\n    Queue:\n      Type: AWS::SQS::Queue\n\n\n    Topic:\n      Type: AWS::SNS::Topic\n';
+  inTempDir(t, { 'serverless.yml': content });
+
+  // Blok içindeki boş satırlar bölüm dosyasında korunur, bölüm seçicisiyle birleştirilen Resources ise onları daraltır
+  const result = await createMerger().split('serverless.yml');
+  assert.deepStrictEqual(result.inline, ['resources']);
+  assert.strictEqual(read('serverless.yml'), 'service: orders\n\n\nprovider:\n  merge: ${file(./subymls/provider.yml)}\n' +
+      content.slice(content.indexOf('resources:')));
+  assert.strictEqual(read(path.join('subymls', 'provider.yml')), 'name: aws\n\n\nruntime: nodejs18.x\n');
+});
+
+test('a file with merge directives is not split', async t => {
+  inTempDir(t, { 'serverless.yml': 'provider:\n  merge: ${file(./provider.yml)}\n', 'provider.yml': 'name: aws\n' });
+
+  await assert.rejects(createMerger().split('serverless.yml'), /already contains merge directives/);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const yaml = require('js-yaml');
+const { merge } = require('./helpers');
+
+for (const mode of ['text', 'semantic']) {
+  test(`${mode}: override replaces colliding values and merges mappings`, async () => {
+    const merged = await merge({
+      'serverless.yml': 'provider:\n  name: aws\n  environment:\n    A: 1\n  merge:override: ${file(./extra.yml)}\n',
+      'extra.yml': 'environment:\n  A: 2\n  B: 3\nname: other\n'
+    }, { mode });
+    assert.strictEqual(merged, 'provider:\n  name: other\n  environment:\n    A: 2\n    B: 3\n');
+  });
+
+  test(`${mode}: keep-first keeps the existing value`, async () => {
+    const merged = await merge({
+      'serverless.yml': 'provider:\n  name: aws\n  merge:keep-first: ${file(./extra.yml)}\n',
+      'extra.yml': 'name: other\nruntime: nodejs18.x\n'
+    }, { mode });
+    assert.strictEqual(merged, 'provider:\n  name: aws\n  runtime: nodejs18.x\n');
+  });
+
+  test(`${mode}: append concatenates lists and unique drops repeated items`, async () => {
+    const files = strategy => ({
+      'serverless.yml': `provider:\n  iam:\n    - a\n  merge:${strategy}: \${file(./extra.yml)}\n`,
+      'extra.yml': 'iam:\n  - a\n  - b\n'
+    });
+    assert.strictEqual(await merge(files('append'), { mode }), 'provider:\n  iam:\n    - a\n    - a\n    - b\n');
+    assert.strictEqual(await merge(files('unique'), { mode }), 'provider:\n  iam:\n    - a\n    - b\n');
+  });
+
+  test(`${mode}: strict fails on a key collision`, async () => {
+    await assert.rejects(merge({
+      'serverless.yml': 'provider:\n  name: aws\n  merge:strict: ${file(./extra.yml)}\n',
+      'extra.yml': 'name: other\n'
+    }, { mode }), /Key collision on 'name' with strict merge strategy/);
+  });
+
+  test(`${mode}: list directives and $<< include every file`, async () => {
+    const merged = await merge({
+      'serverless.yml': 'functions:\n  merge:\n    - ${file(./a.yml)}\n    - ${file(./b.yml)}\ncustom:\n  $<<: ${file(./c.yml)}\n',
+      'a.yml': 'a:\n  handler: a.handler\n',
+      'b.yml': 'b:\n  handler: b.handler\n',
+      'c.yml': 'x: 1\n'
+    }, { mode });
+    assert.deepStrictEqual(yaml.load(merged), {
+      functions: { a: { handler: 'a.handler' }, b: { handler: 'b.handler' } },
+      custom: { x: 1 }
+    });
+  });
+}
+
+test('strict collisions name the directive line and both definitions', async () => {
+  await assert.rejects(merge({
+    'serverless.yml': 'provider:\n  name: aws\n  merge:strict: ${file(./extra.yml)}\n',
+    'extra.yml': 'runtime: nodejs18.x\nname: other\n'
+  }), error => {
+    assert.strictEqual(error.line, 3);
+    assert.match(error.message, /defined in serverless\.yml:2 and .*extra\.yml:2/);
+    return true;
+  });
+});
+
+test('an unknown strategy fails the merge', async () => {
+  await assert.rejects(merge({
+    'serverless.yml': 'custom:\n  merge:sideways: ${file(./c.yml)}\n',
+    'c.yml': 'x: 1\n'
+  }), /Unknown merge strategy 'sideways'/);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Logger } = require('../src/merge');
+const { merge } = require('./helpers');
+
+const TEMPLATE = [
+  '---',
+  'name:',
+  'table:',
+  'memorySize: 256',
+  '---',
+  '${param:name}:',
+  '  handler: src/${param:name}.handler',
+  '  memorySize: ${param:memorySize}',
+  '  environment:',
+  '    TABLE: ${param:table}',
+  '    STAGE: ${param:stage}',
+  ''
+].join('\n');
+
+function mergeTemplate(args, options) {
+  return merge({
+    'serverless.yml': `functions:\n  merge: \${file(./templates/crud-fn.yml, ${args})}\n`,
+    'templates/crud-fn.yml': TEMPLATE
+  }, options);
+}
+
+test('arguments and defaults replace the placeholders of a template', async () => {
+  assert.strictEqual(await mergeTemplate('{name: users, table: UsersTable}'), [
+    'functions:',
+    '  users:',
+    '    handler: src/users.handler',
+    '    memorySize: 256',
+    '    environment:',
+    '      TABLE: UsersTable',
+    '      STAGE: ${param:stage}',
+    ''
+  ].join('\n'));
+});
+
+test('one template can be included several times with different arguments', async () => {
+  const merged = await merge({
+    'serverless.yml': 'functions:\n  merge:\n' +
+        '    - ${file(./templates/crud-fn.yml, {name: users, table: UsersTable})}\n' +
+        '    - ${file(./templates/crud-fn.yml, {name: orders, table: OrdersTable, memorySize: 512})}\n',
+    'templates/crud-fn.yml': TEMPLATE
+  }, { mode: 'semantic' });
+
+  assert.match(merged, /^ {2}users:\n {4}handler: src\/users\.handler\n {4}memorySize: 256$/m);
+  assert.match(merged, /^ {2}orders:\n {4}handler: src\/orders\.handler\n {4}memorySize: 512$/m);
+});
+
+test('a missing required parameter fails the merge', async () => {
+  await assert.rejects(mergeTemplate('{name: users}'), error => {
+    assert.strictEqual(error.message, 'Missing required template parameter: table');
+    assert.strictEqual(error.filePath, '/project/templates/crud-fn.yml');
+    return true;
+  });
+});
+
+test('arguments the template never uses are reported as warnings', async () => {
+  const warnings = [];
+  await mergeTemplate('{name: users, table: UsersTable, retries: 3}', {
+    logger: new Logger('warn', (prefix, ...args) => warnings.push(`${prefix} ${args.join(' ')}`))
+  });
+  assert.deepStrictEqual(warnings, ['[WARN] Unused template parameter in templates/crud-fn.yml: retries']);
+});
+
+test('argument values may contain variables', async () => {
+  const merged = await mergeTemplate("{name: users, table: ${opt:stage, 'dev'}-users}", { stage: 'prod' });
+  assert.match(merged, /TABLE: prod-users$/m);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { YamlLine } = require('../src/merge');
+const { merge } = require('./helpers');
+
+function tokenize(text) {
+  return YamlLine.tokenize(text.split('\n'), index => ({ file: 'serverless.yml', line: index + 1, chain: [] }));
+}
+
+test('block scalar lines are text, not list items or directives', () => {
+  const lines = tokenize('custom:\n  script: |\n    - not a list\n    merge: ${file(./x.yml)}\n\n  after: 1\n');
+
+  assert.deepStrictEqual(lines.map(line => line.context), ['block', 'block', 'scalar', 'scalar', 'block', 'block', 'block']);
+  assert.ok(!lines[2].isList);
+  assert.ok(!lines[3].isMergeDirective);
+  assert.strictEqual(lines[5].key, 'after');
+});
+
+test('multi-line flow collections are tracked until they close', () => {
+  const lines = tokenize('custom:\n  flow: {\n    a: 1,\n    # not a comment line\n  }\n  merge: ${file(./y.yml)}\n');
+
+  assert.deepStrictEqual(lines.map(line => line.context), ['block', 'block', 'flow', 'flow', 'flow', 'block', 'block']);
+  assert.ok(!lines[3].isComment);
+  assert.ok(lines[5].isMergeDirective);
+});
+
+test('directives inside block scalars are left alone', async () => {
+  const merged = await merge({
+    'serverless.yml': 'custom:\n  text: |\n    merge: ${file(./two.yml)}\n',
+    'two.yml': 'x: 1\n'
+  });
+  assert.strictEqual(merged, 'custom:\n  text: |\n    merge: ${file(./two.yml)}\n');
+});
+
+test('a 4-space include is re-indented to the 2-space parent', async () => {
+  const merged = await merge({
+    'serverless.yml': 'provider:\n  merge: ${file(./four.yml)}\n',
+    'four.yml': 'environment:\n    A: 1\n    # note\n    list:\n        - x\n'
+  });
+  assert.strictEqual(merged, 'provider:\n  environment:\n    A: 1\n    # note\n    list:\n      - x\n');
+});
+
+test('a 2-space include is re-indented to the 4-space parent', async () => {
+  const merged = await merge({
+    'serverless.yml': 'provider:\n    merge: ${file(./two.yml)}\n',
+    'two.yml': 'environment:\n  A: 1\n'
+  });
+  assert.strictEqual(merged, 'provider:\n    environment:\n        A: 1\n');
+});
+
+test('comments move with the included lines and the final newline adds no blank line', async () => {
+  const merged = await merge({
+    'serverless.yml': 'provider:\n  merge: ${file(./provider.yml)}\n\nfunctions: {}\n',
+    'provider.yml': 'name: aws\n# runtime comment\nruntime: nodejs18.x\n'
+  });
+  assert.strictEqual(merged, 'provider:\n  name: aws\n  # runtime comment\n  runtime: nodejs18.x\n\nfunctions: {}\n');
+});
+
+test('a file without directives is written back unchanged', async () => {
+  const content = 'service: orders\n\nprovider:\n  name: aws\n  # comment\n  runtime: nodejs18.x\n';
+  assert.strictEqual(await merge({ 'serverless.yml': content }), content);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { merge } = require('./helpers');
+
+function validate(files, options = {}) {
+  return merge(files, { validate: true, ...options });
+}
+
+test('resource parameters of a Serverless file are valid targets', async () => {
+  const files = {
+    'serverless.yml': 'service: orders\nresources:\n  Parameters:\n    Env:\n      Type: String\n' +
+        '  Resources:\n    merge: ${file(./resources.yml)}\n',
+    'resources.yml': 'Queue:\n  Type: AWS::SQS::Queue\n  Properties:\n' +
+        '    QueueName: !Sub "${Env}-queue"\n    Tags:\n      - Key: env\n        Value: !Ref Env\n'
+  };
+
+  for (const mode of ['text', 'semantic']) {
+    assert.match(await validate(files, { mode }), /Value: !Ref Env$/m);
+  }
+});
+
+test('top-level parameters of a plain template are valid targets', async () => {
+  const merged = await validate({
+    'serverless.yml': 'Parameters:\n  Env:\n    Type: String\nResources:\n  merge: ${file(./resources.yml)}\n',
+    'resources.yml': 'Queue:\n  Type: AWS::SQS::Queue\n  Properties:\n    QueueName: !Ref Env\n'
+  });
+  assert.match(merged, /QueueName: !Ref Env/);
+});
+
+test('a top-level Parameters key does not count in a Serverless file', async () => {
+  await assert.rejects(validate({
+    'serverless.yml': 'Parameters:\n  Env:\n    Type: String\nresources:\n  Resources:\n' +
+        '    Queue:\n      Type: AWS::SQS::Queue\n      Properties:\n        QueueName: !Ref Env\n'
+  }), /resources\.Resources\.Queue\.Properties\.QueueName: Ref target 'Env' is not a resource, parameter or pseudo parameter \(serverless\.yml:9\)/);
+});
+
+test('every finding names the key, the source line and the include chain', async () => {
+  await assert.rejects(validate({
+    'serverless.yml': 'service: orders\nresources:\n  Resources:\n    merge: ${file(./resources.yml)}\nfunctions:\n  api:\n    memorySize: 512\n',
+    'resources.yml': 'Broken:\n  Properties: {}\nTopic:\n  Type: AWS::SNS::Topic\n  Properties:\n    TopicName: !GetAtt Missing.Name\n'
+  }), error => {
+    assert.strictEqual(error.message, [
+      'Validation failed with 3 errors:',
+      "resources.Resources.Broken: Resource 'Broken' has no Type (resources.yml:1)",
+      '  included via serverless.yml -> resources.yml',
+      "functions.api: Function 'api' needs a handler or an image (serverless.yml:6)",
+      "resources.Resources.Topic.Properties.TopicName: Fn::GetAtt target 'Missing' is not a resource, parameter or pseudo parameter (resources.yml:6)",
+      '  included via serverless.yml -> resources.yml'
+    ].join('\n'));
+    return true;
+  });
+});
+
+test('pseudo parameters, generated resources and Serverless variables pass', async () => {
+  const merged = await validate({
+    'serverless.yml': 'service: orders\nfunctions:\n  createOrder:\n    handler: src/create.handler\n' +
+        'resources:\n  Outputs:\n    Region:\n      Value: !Ref AWS::Region\n' +
+        '    Function:\n      Value: !GetAtt CreateOrderLambdaFunction.Arn\n' +
+        '    Role:\n      Value: !Ref IamRoleLambdaExecution\n' +
+        '    Name:\n      Value: !Sub "${self:service}-${AWS::StackName}-${!Literal}"\n'
+  });
+  assert.match(merged, /!GetAtt CreateOrderLambdaFunction\.Arn/);
+});
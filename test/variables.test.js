@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { merge } = require('./helpers');
+
+test('variables in include paths use the stage and their default', async () => {
+  const files = {
+    'serverless.yml': "custom:\n  merge: ${file(./${opt:stage, 'dev'}.yml)}\n",
+    'dev.yml': 'size: small\n',
+    'prod.yml': 'size: large\n'
+  };
+  assert.strictEqual(await merge(files, { stage: 'prod' }), 'custom:\n  size: large\n');
+  assert.strictEqual(await merge(files), 'custom:\n  size: small\n');
+});
+
+test('paths can use the region, params, environment variables and root keys', async t => {
+  process.env.SERVERLESS_MERGE_TEST_TEAM = 'blue';
+  t.after(() => delete process.env.SERVERLESS_MERGE_TEST_TEAM);
+
+  const merged = await merge({
+    'serverless.yml': 'service: orders\ncustom:\n' +
+        '  region:\n    merge: ${file(./regions/${opt:region}.yml)}\n' +
+        '  tier:\n    merge: ${file(./tiers/${param:tier}.yml)}\n' +
+        '  team:\n    merge: ${file(./teams/${env:SERVERLESS_MERGE_TEST_TEAM}.yml)}\n' +
+        '  service:\n    merge: ${file(./services/${self:service}.yml)}\n',
+    'regions/eu-west-1.yml': 'value: region\n',
+    'tiers/gold.yml': 'value: tier\n',
+    'teams/blue.yml': 'value: team\n',
+    'services/orders.yml': 'value: service\n'
+  }, { region: 'eu-west-1', params: { tier: 'gold' } });
+
+  assert.deepStrictEqual(merged.match(/value: \w+/g), ['value: region', 'value: tier', 'value: team', 'value: service']);
+});
+
+test('a variable without a value or default names itself', async () => {
+  await assert.rejects(merge({
+    'serverless.yml': 'service: orders\ncustom:\n  merge: ${file(./${opt:region}.yml)}\n'
+  }), error => {
+    assert.strictEqual(error.message, "Cannot resolve variable '${opt:region}' and no default value was given");
+    assert.strictEqual(error.line, 3);
+    return true;
+  });
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { Logger } = require('../src/merge');
+const { inTempDir, createMerger, read } = require('./helpers');
+
+const FILES = {
+  'serverless.yml': 'service: orders\nprovider:\n  merge: ${file(./provider.yml)}\n',
+  'provider.yml': 'name: aws\n'
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// İzleyiciyi başlatır; günlük satırları ve birleştirme sayısı testler için toplanır
+async function startWatch(t, options = {}) {
+  const messages = [];
+  const merger = createMerger({ logger: new Logger('info', (prefix, ...args) => messages.push(`${prefix} ${args.join(' ')}`)) });
+  const watcher = await merger.watch(['serverless.yml'], { debounce: 50, ...options });
+  t.after(() => watcher.close());
+  return {
+    merger,
+    messages,
+    merges: () => messages.filter(message => message.startsWith('[INFO] Change detected')).length
+  };
+}
+
+async function waitFor(predicate, timeout = 3000) {
+  for (const start = Date.now(); Date.now() - start < timeout; await sleep(25)) {
+    if (predicate()) return;
+  }
+  assert.fail('Timed out waiting for the watcher');
+}
+
+test('changing an include re-merges the root in place once', async t => {
+  inTempDir(t, FILES);
+  const watch = await startWatch(t);
+  assert.strictEqual(read('serverless.yml'), 'service: orders\nprovider:\n  name: aws\n');
+
+  fs.writeFileSync('provider.yml', 'name: azure\n');
+  await waitFor(() => read('serverless.yml').includes('azure'));
+
+  // Aracın kendi yazdığı kök dosya yeni bir birleştirmeyi tetiklememeli
+  await sleep(300);
+  assert.strictEqual(watch.merges(), 1);
+  assert.strictEqual(await watch.merger.restore('serverless.yml'), true);
+  assert.strictEqual(read('serverless.yml'), FILES['serverless.yml']);
+});
+
+test('a failed re-merge leaves the files alone and does not trigger itself', async t => {
+  inTempDir(t, FILES);
+  const watch = await startWatch(t);
+
+  fs.writeFileSync('provider.yml', 'name: [aws\n');
+  await waitFor(() => watch.messages.some(message => message.startsWith('[WARN] Waiting for changes')));
+  await sleep(300);
+  assert.strictEqual(watch.merges(), 1);
+  assert.strictEqual(read('serverless.yml'), 'service: orders\nprovider:\n  name: aws\n');
+
+  fs.writeFileSync('provider.yml', 'name: gcp\n');
+  await waitFor(() => read('serverless.yml').includes('gcp'));
+  await sleep(300);
+  assert.strictEqual(watch.merges(), 2);
+});
+
+test('edits to an in-place merged root are replaced by the merge of its source', async t => {
+  inTempDir(t, FILES);
+  const watch = await startWatch(t);
+
+  fs.appendFileSync('serverless.yml', 'custom:\n  edited: true\n');
+  await waitFor(() => watch.merges() === 1);
+  await waitFor(() => !read('serverless.yml').includes('edited'));
+  assert.ok(watch.messages.some(message => message.startsWith('[WARN] serverless.yml holds the merged output')));
+
+  // Sonraki değişiklikler de kaynaktan birleştirilmeye devam eder
+  fs.writeFileSync('provider.yml', 'name: azure\n');
+  await waitFor(() => read('serverless.yml').includes('azure'));
+  await sleep(300);
+  assert.strictEqual(watch.merges(), 2);
+});
+
+test('with an output file the input is left alone and the output does not trigger a merge', async t => {
+  inTempDir(t, FILES);
+  const watch = await startWatch(t, { outputFile: 'merged.yml' });
+  assert.strictEqual(read('merged.yml'), 'service: orders\nprovider:\n  name: aws\n');
+
+  fs.writeFileSync('provider.yml', 'name: azure\n');
+  await waitFor(() => read('merged.yml').includes('azure'));
+  await sleep(300);
+  assert.strictEqual(watch.merges(), 1);
+  assert.strictEqual(read('serverless.yml'), FILES['serverless.yml']);
+  assert.ok(!fs.existsSync('.mergebackup'));
+});
+
+test('files that become included are watched from the next merge on', async t => {
+  inTempDir(t, { ...FILES, 'region.yml': 'region: eu-west-1\n' });
+  await startWatch(t, { outputFile: 'merged.yml' });
+
+  fs.writeFileSync('provider.yml', 'name: aws\nmerge: ${file(./region.yml)}\n');
+  await waitFor(() => read('merged.yml').includes('eu-west-1'));
+
+  fs.writeFileSync('region.yml', 'region: us-east-1\n');
+  await waitFor(() => read('merged.yml').includes('us-east-1'));
+});